@@ -5,7 +5,6 @@ import helmet from "helmet";
 import compression from "compression";
 import morgan from "morgan";
 import dotenv from "dotenv";
-import path from "path";
 import connectDB from "./config/database.js";
 import { logger } from "./utils/logger.js";
 import { errorHandler, notFoundHandler } from "./middleware/errorHandler.js";
@@ -19,6 +18,32 @@ import {
 import healthRoutes from "./routes/health.js";
 import recommendationRoutes from "./routes/recommendations.js";
 import chatRoutes from "./routes/chat.js";
+import missionRoutes from "./routes/missions.js";
+import detectionRoutes from "./routes/detections.js";
+import uploadSessionRoutes from "./routes/uploadSessions.js";
+import fileRoutes from "./routes/files.js";
+import reviewRoutes from "./routes/reviews.js";
+import datasetRoutes from "./routes/datasets.js";
+import farmRoutes from "./routes/farms.js";
+import fieldRoutes from "./routes/fields.js";
+import treeRoutes from "./routes/trees.js";
+import alertRoutes from "./routes/alerts.js";
+import treatmentRoutes from "./routes/treatments.js";
+import followUpRoutes from "./routes/followUps.js";
+import analyticsRoutes from "./routes/analytics.js";
+import reportRoutes from "./routes/reports.js";
+import { scheduler } from "./services/scheduler.js";
+import { cleanupExpiredSessions } from "./services/resumableUpload.js";
+import { runUploadMaintenance } from "./services/uploadRetention.js";
+import {
+  resumeDatasetExports,
+  cleanupExpiredExports,
+} from "./services/datasetExport.js";
+import { sendDueFollowUpReminders } from "./services/followUps.js";
+import {
+  resumeInspectionReports,
+  cleanupExpiredReports,
+} from "./services/inspectionReports.js";
 
 // Load environment variables
 dotenv.config();
@@ -51,8 +76,15 @@ app.use(
     origin: corsOrigins,
     credentials: true,
     optionsSuccessStatus: 200,
-    methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With"],
+    methods: ["GET", "HEAD", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
+    allowedHeaders: [
+      "Content-Type",
+      "Authorization",
+      "X-Requested-With",
+      "Upload-Offset",
+      "Upload-Length",
+    ],
+    exposedHeaders: ["Location", "Upload-Offset", "Upload-Length", "Upload-Expires"],
   }),
 );
 
@@ -91,15 +123,28 @@ if (process.env.NODE_ENV === "development") {
 // Rate limiting
 app.use("/api", apiLimiter);
 
-// Serve static files from uploads directory
-app.use('/uploads', express.static(path.join(process.cwd(), 'uploads')));
+// Serve uploaded files from the configured storage backend
+app.use("/uploads", fileRoutes);
 
 // Health check endpoint (no rate limiting)
 app.use("/api/health", healthRoutes);
 
 // API routes
+app.use("/api/recommendations/upload/sessions", uploadSessionRoutes);
 app.use("/api/recommendations", recommendationRoutes);
 app.use("/api/chat", chatRoutes);
+app.use("/api/missions", missionRoutes);
+app.use("/api/detections", detectionRoutes);
+app.use("/api/reviews", reviewRoutes);
+app.use("/api/datasets", datasetRoutes);
+app.use("/api/farms", farmRoutes);
+app.use("/api/fields", fieldRoutes);
+app.use("/api/trees", treeRoutes);
+app.use("/api/alerts", alertRoutes);
+app.use("/api/treatments", treatmentRoutes);
+app.use("/api/follow-ups", followUpRoutes);
+app.use("/api/analytics", analyticsRoutes);
+app.use("/api/reports", reportRoutes);
 
 // Root endpoint
 app.get("/", (req, res) => {
@@ -111,6 +156,18 @@ app.get("/", (req, res) => {
       health: "/api/health",
       recommendations: "/api/recommendations",
       chat: "/api/chat",
+      missions: "/api/missions",
+      detections: "/api/detections",
+      reviews: "/api/reviews",
+      datasets: "/api/datasets",
+      farms: "/api/farms",
+      fields: "/api/fields",
+      trees: "/api/trees",
+      alerts: "/api/alerts",
+      treatments: "/api/treatments",
+      followUps: "/api/follow-ups",
+      analytics: "/api/analytics",
+      reports: "/api/reports",
     },
     documentation: "See README.md for detailed API documentation",
   });
@@ -123,6 +180,7 @@ app.use(errorHandler);
 // Graceful shutdown handler
 const gracefulShutdown = (server) => (signal) => {
   logger.info(`Received ${signal}, shutting down gracefully`);
+  scheduler.stopAll();
 
   server.close(() => {
     logger.info("Process terminated gracefully");
@@ -142,6 +200,39 @@ const startServer = async () => {
     // Connect to database
     await connectDB();
 
+    // Background maintenance jobs
+    scheduler.schedule(
+      "upload-session-cleanup",
+      parseInt(process.env.UPLOAD_SESSION_CLEANUP_INTERVAL_MS) || 60 * 60 * 1000,
+      cleanupExpiredSessions,
+      { runOnStart: true },
+    );
+    scheduler.schedule(
+      "upload-maintenance",
+      parseInt(process.env.UPLOAD_MAINTENANCE_INTERVAL_MS) || 24 * 60 * 60 * 1000,
+      runUploadMaintenance,
+    );
+    scheduler.schedule(
+      "dataset-export-cleanup",
+      parseInt(process.env.EXPORT_CLEANUP_INTERVAL_MS) || 60 * 60 * 1000,
+      cleanupExpiredExports,
+    );
+    scheduler.schedule(
+      "inspection-report-cleanup",
+      parseInt(process.env.REPORT_CLEANUP_INTERVAL_MS) || 60 * 60 * 1000,
+      cleanupExpiredReports,
+    );
+    scheduler.schedule(
+      "follow-up-reminders",
+      parseInt(process.env.FOLLOWUP_CHECK_INTERVAL_MS) || 15 * 60 * 1000,
+      sendDueFollowUpReminders,
+      { runOnStart: true },
+    );
+
+    // Background exports and reports interrupted by the last shutdown
+    await resumeDatasetExports();
+    await resumeInspectionReports();
+
     // Start HTTP server
     const server = app.listen(PORT, () => {
       logger.info(`🚀 Server running on port ${PORT}`);
@@ -29,12 +29,22 @@ export const errorHandler = (err, req, res, next) => {
     error = { message, statusCode: 400 };
   }
 
+  // 2dsphere index rejected the geometry (e.g. a self-intersecting boundary)
+  if (err.code === 16755) {
+    error = { message: 'Invalid GeoJSON geometry', statusCode: 400 };
+  }
+
   // Mongoose validation error
   if (err.name === 'ValidationError') {
     const message = Object.values(err.errors).map(val => val.message).join(', ');
     error = { message, statusCode: 400 };
   }
 
+  // Multer upload limits (file too large, too many files, ...)
+  if (err.name === 'MulterError') {
+    error = { message: err.message, statusCode: err.code === 'LIMIT_FILE_SIZE' ? 413 : 400 };
+  }
+
   // JWT errors
   if (err.name === 'JsonWebTokenError') {
     const message = 'Invalid token';
@@ -53,6 +63,8 @@ export const errorHandler = (err, req, res, next) => {
   // Don't expose error details in production
   const response = {
     error: message,
+    // Machine-readable codes for client errors such as INVALID_IMAGE_TYPE
+    ...(statusCode < 500 && typeof err.code === 'string' && { code: err.code }),
     ...(process.env.NODE_ENV === 'development' && {
       stack: err.stack,
       details: error
@@ -0,0 +1,123 @@
+// FILE: server/src/middleware/upload.js
+import multer from 'multer';
+import path from 'path';
+import fs from 'fs';
+import os from 'os';
+import { ImageValidationError } from '../services/imageValidation.js';
+import { WeatherError } from '../services/weatherService.js';
+
+// Create uploads directory if it doesn't exist
+export const uploadsDir = path.join(process.cwd(), 'uploads');
+if (!fs.existsSync(uploadsDir)) {
+  fs.mkdirSync(uploadsDir, { recursive: true });
+}
+
+export const MAX_IMAGE_SIZE = 10 * 1024 * 1024; // 10MB limit
+export const MAX_BATCH_FILES = parseInt(process.env.MAX_BATCH_FILES) || 100;
+const MAX_ARCHIVE_SIZE = parseInt(process.env.MAX_ARCHIVE_SIZE) || 500 * 1024 * 1024;
+
+// Unique stored filename, e.g. image-1700000000000-123456789.jpg
+export const generateUploadFilename = (fieldname, extension) => {
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  return fieldname + '-' + uniqueSuffix + extension;
+};
+
+// Configure multer for file uploads
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    cb(null, uploadsDir);
+  },
+  // The extension is added once the content has been verified (see imageValidation.js)
+  filename: (req, file, cb) => {
+    cb(null, generateUploadFilename(file.fieldname, ''));
+  }
+});
+
+export const upload = multer({
+  storage: storage,
+  limits: {
+    fileSize: MAX_IMAGE_SIZE,
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/')) {
+      cb(null, true);
+    } else {
+      cb(new ImageValidationError('Only image files are allowed', 'INVALID_IMAGE_TYPE'), false);
+    }
+  }
+});
+
+// Multi-file uploads skip non-images instead of failing the whole request;
+// skipped files are reported back through req.rejectedFiles
+export const batchUpload = multer({
+  storage: storage,
+  limits: {
+    fileSize: MAX_IMAGE_SIZE,
+    files: MAX_BATCH_FILES
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/')) {
+      cb(null, true);
+    } else {
+      req.rejectedFiles = req.rejectedFiles || [];
+      req.rejectedFiles.push({
+        originalName: file.originalname,
+        error: 'Only image files are allowed'
+      });
+      cb(null, false);
+    }
+  }
+});
+
+// ZIP archives are staged in the temp directory and unpacked by the archive ingest service
+const ZIP_MIMETYPES = ['application/zip', 'application/x-zip-compressed', 'application/octet-stream'];
+
+// Non-ZIP files are a client error, reported with a machine-readable code like rejected images
+export class ArchiveUploadError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'ArchiveUploadError';
+    this.code = code;
+    this.statusCode = 415;
+  }
+}
+
+export const archiveUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      cb(null, os.tmpdir());
+    },
+    filename: (req, file, cb) => {
+      cb(null, generateUploadFilename('archive', '.zip'));
+    }
+  }),
+  limits: {
+    fileSize: MAX_ARCHIVE_SIZE,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (ZIP_MIMETYPES.includes(file.mimetype) && path.extname(file.originalname).toLowerCase() === '.zip') {
+      cb(null, true);
+    } else {
+      cb(new ArchiveUploadError('Only ZIP archives are allowed', 'INVALID_ARCHIVE_TYPE'), false);
+    }
+  }
+});
+
+// Weather observation files are small and parsed straight from memory
+const MAX_WEATHER_FILE_SIZE = 5 * 1024 * 1024;
+
+export const weatherUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_WEATHER_FILE_SIZE,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (['.csv', '.json'].includes(path.extname(file.originalname).toLowerCase())) {
+      cb(null, true);
+    } else {
+      cb(new WeatherError('Only CSV or JSON weather files are allowed', 400), false);
+    }
+  }
+});
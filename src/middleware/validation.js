@@ -1,5 +1,10 @@
 // FILE: server/src/middleware/validation.js
-import { body, param, validationResult } from 'express-validator';
+import { body, param, query, validationResult } from 'express-validator';
+import { Recommendation } from '../models/Recommendation.js';
+import { isValidBoundary } from '../models/geoSchemas.js';
+import { PRODUCT_CATEGORIES } from '../models/TreatmentAction.js';
+import { FOLLOW_UP_STATUSES } from '../models/FollowUpTask.js';
+import { WEATHER_VARIABLES } from '../models/WeatherObservation.js';
 
 // Validation error handler
 export const handleValidationErrors = (req, res, next) => {
@@ -52,9 +57,53 @@ export const validateLLMRecommendation = [
   body('severity')
     .optional()
     .isIn(['low', 'medium', 'high'])
-    .withMessage('Severity must be low, medium, or high')
+    .withMessage('Severity must be low, medium, or high'),
+  body('farmId')
+    .optional()
+    .isMongoId()
+    .withMessage('Farm ID must be a valid ID'),
+  body('uploadId')
+    .optional()
+    .isMongoId()
+    .withMessage('Upload ID must be a valid ID')
 ];
 
+// Structural check for Recommendation.riskRules
+const checkRiskRules = (rules) => {
+  if (!Array.isArray(rules) || rules.length > 20) {
+    throw new Error('Risk rules must be an array of at most 20 rules');
+  }
+  for (const rule of rules) {
+    if (!rule || !WEATHER_VARIABLES.includes(rule.variable)) {
+      throw new Error(`Risk rule variable must be one of ${WEATHER_VARIABLES.join(', ')}`);
+    }
+    if (rule.aggregate !== undefined && !['sum', 'mean', 'min', 'max'].includes(rule.aggregate)) {
+      throw new Error('Risk rule aggregate must be sum, mean, min or max');
+    }
+    if (rule.lookbackDays !== undefined && !(Number.isInteger(rule.lookbackDays) && rule.lookbackDays >= 1 && rule.lookbackDays <= 30)) {
+      throw new Error('Risk rule lookback must be 1-30 days');
+    }
+    const hasMin = rule.min !== undefined && rule.min !== null;
+    const hasMax = rule.max !== undefined && rule.max !== null;
+    if ((hasMin && typeof rule.min !== 'number') || (hasMax && typeof rule.max !== 'number')) {
+      throw new Error('Risk rule min and max must be numbers');
+    }
+    if (!hasMin && !hasMax) {
+      throw new Error('Risk rules need a min, a max or both');
+    }
+    if (hasMin && hasMax && rule.min > rule.max) {
+      throw new Error('Risk rule min must not be greater than max');
+    }
+    if (rule.weight !== undefined && !(typeof rule.weight === 'number' && rule.weight >= 0)) {
+      throw new Error('Risk rule weight must be a non-negative number');
+    }
+    if (rule.description !== undefined && (typeof rule.description !== 'string' || rule.description.length > 200)) {
+      throw new Error('Risk rule description must be maximum 200 characters');
+    }
+  }
+  return true;
+};
+
 export const validateRecommendationSeed = [
   body('recommendations')
     .isArray({ min: 1 })
@@ -83,5 +132,836 @@ export const validateRecommendationSeed = [
     .withMessage('Treatment steps must be a non-empty array'),
   body('recommendations.*.preventionSteps')
     .isArray({ min: 1 })
-    .withMessage('Prevention steps must be a non-empty array')
-];
\ No newline at end of file
+    .withMessage('Prevention steps must be a non-empty array'),
+  body('recommendations.*.followUpDays')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Follow-up interval must be 1-365 days')
+    .toInt(),
+  body('recommendations.*.riskRules')
+    .optional()
+    .custom(checkRiskRules)
+];
+
+export const validateRiskRules = [
+  body('riskRules')
+    .custom(checkRiskRules)
+];
+
+export const validateObjectIdParam = (name = 'id') => [
+  param(name)
+    .isMongoId()
+    .withMessage(`${name} must be a valid ID`)
+];
+
+export const validateMission = [
+  body('droneId')
+    .isString()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Drone ID must be 1-100 characters'),
+  body('operator')
+    .isString()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Operator must be 1-100 characters'),
+  body('field')
+    .optional({ values: 'null' })
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('Field must be maximum 200 characters'),
+  body('startTime')
+    .optional()
+    .isISO8601()
+    .withMessage('Start time must be an ISO 8601 date'),
+  body('endTime')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('End time must be an ISO 8601 date'),
+  body('notes')
+    .optional()
+    .isString()
+    .isLength({ max: 2000 })
+    .withMessage('Notes must be maximum 2000 characters')
+];
+
+export const validateMissionUpdate = [
+  body('operator')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Operator must be 1-100 characters'),
+  ...validateMission.slice(2)
+];
+
+
+const COORDINATE_LIST = /^-?\d+(\.\d+)?(,-?\d+(\.\d+)?)*$/;
+
+export const validateDetectionFilters = [
+  query('disease')
+    .optional()
+    .matches(/^[a-z0-9-]+(,[a-z0-9-]+)*$/)
+    .withMessage('Disease must be a comma-separated list of disease keys'),
+  query('minConfidence')
+    .optional()
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('Minimum confidence must be between 0 and 1'),
+  query('maxConfidence')
+    .optional()
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('Maximum confidence must be between 0 and 1'),
+  query('detected')
+    .optional()
+    .isBoolean()
+    .withMessage('Detected must be true or false'),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be an ISO 8601 date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be an ISO 8601 date')
+];
+
+export const validateSpatialFilters = [
+  query('bbox')
+    .optional()
+    .matches(COORDINATE_LIST)
+    .custom((value) => {
+      const [minLon, minLat, maxLon, maxLat, ...rest] = value.split(',').map(Number);
+      return rest.length === 0 && maxLat !== undefined
+        && minLon >= -180 && maxLon <= 180 && minLon < maxLon
+        && minLat >= -90 && maxLat <= 90 && minLat < maxLat;
+    })
+    .withMessage('Bounding box must be minLon,minLat,maxLon,maxLat'),
+  query('near')
+    .optional()
+    .matches(COORDINATE_LIST)
+    .custom((value) => {
+      const [lon, lat, ...rest] = value.split(',').map(Number);
+      return rest.length === 0 && lat !== undefined && Math.abs(lon) <= 180 && Math.abs(lat) <= 90;
+    })
+    .withMessage('Near must be lon,lat'),
+  query('radius')
+    .optional()
+    .isFloat({ min: 1, max: 100000 })
+    .withMessage('Radius must be 1-100000 meters'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 5000 })
+    .withMessage('Limit must be 1-5000')
+];
+
+export const validateUploadSession = [
+  body('originalName')
+    .isString()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Original name must be 1-255 characters'),
+  body('mimetype')
+    .isString()
+    .matches(/^image\/[a-z0-9.+-]+$/)
+    .withMessage('Only image files are allowed'),
+  body('size')
+    .isInt({ min: 1, max: 10 * 1024 * 1024 })
+    .withMessage('Size must be between 1 byte and 10MB'),
+  body('missionId')
+    .optional()
+    .isMongoId()
+    .withMessage('Mission ID must be a valid ID')
+];
+
+export const UPLOAD_SORT_FIELDS = ['uploadedAt', 'detectionAt', 'confidence'];
+
+export const validateUploadHistoryQuery = [
+  ...validateDetectionFilters,
+  query('sort')
+    .optional()
+    .isIn(UPLOAD_SORT_FIELDS.flatMap((field) => [field, `-${field}`]))
+    .withMessage(`Sort must be one of ${UPLOAD_SORT_FIELDS.join(', ')} (prefix with - for descending)`),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Limit must be 1-200'),
+  query('cursor')
+    .optional()
+    .isBase64({ urlSafe: true })
+    .withMessage('Cursor is invalid')
+];
+
+// Probabilities from a softmax output should sum to 1 within rounding error
+const PROBABILITY_SUM_TOLERANCE = 0.02;
+
+const assertKnownDiseaseKeys = async (keys) => {
+  const known = await Recommendation.distinct('diseaseKey');
+  const unknown = keys.filter((key) => !known.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown disease keys: ${unknown.join(', ')}`);
+  }
+  return true;
+};
+
+export const validateDetectionUpdate = [
+  body('diseaseDetected')
+    .isString()
+    .matches(/^[a-z0-9-]+$/)
+    .withMessage('Disease detected must be a lowercase disease key')
+    .bail()
+    .custom((value) => assertKnownDiseaseKeys([value])),
+  body('prediction')
+    .optional({ values: 'null' })
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Prediction must be maximum 100 characters'),
+  body('confidence')
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('Confidence must be between 0 and 1')
+    .toFloat(),
+  body('probabilities')
+    .optional()
+    .isObject()
+    .withMessage('Probabilities must be an object keyed by disease key')
+    .bail()
+    .custom((probabilities) => {
+      const values = Object.values(probabilities);
+      if (values.length < 2) {
+        throw new Error('Probabilities must cover at least two classes');
+      }
+      if (values.some((value) => typeof value !== 'number' || value < 0 || value > 1)) {
+        throw new Error('Each probability must be a number between 0 and 1');
+      }
+      const sum = values.reduce((total, value) => total + value, 0);
+      if (Math.abs(sum - 1) > PROBABILITY_SUM_TOLERANCE) {
+        throw new Error(`Probabilities must sum to 1 (got ${sum.toFixed(3)})`);
+      }
+      return true;
+    })
+    .bail()
+    .custom((probabilities) => assertKnownDiseaseKeys(Object.keys(probabilities)))
+    .bail()
+    .custom((probabilities, { req }) => {
+      const [topKey] = Object.entries(probabilities).sort((a, b) => b[1] - a[1])[0];
+      if (probabilities[req.body.diseaseDetected] !== probabilities[topKey]) {
+        throw new Error('Disease detected must be the class with the highest probability');
+      }
+      if (Math.abs(probabilities[req.body.diseaseDetected] - Number(req.body.confidence)) > PROBABILITY_SUM_TOLERANCE) {
+        throw new Error('Confidence must match the probability of the detected class');
+      }
+      return true;
+    }),
+  body('model.name')
+    .optional({ values: 'null' })
+    .isString()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Model name must be 1-100 characters'),
+  body('model.version')
+    .optional({ values: 'null' })
+    .isString()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Model version must be 1-50 characters'),
+  body('model.runtime')
+    .optional({ values: 'null' })
+    .isString()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Model runtime must be 1-50 characters, e.g. tfjs-webgl'),
+  body('inferenceTimeMs')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('Inference time must be a non-negative number of milliseconds')
+    .toFloat()
+];
+
+export const REVIEW_SORT_FIELDS = ['confidence', 'detectionAt'];
+
+export const validateReviewQueueQuery = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'reviewed', 'disputed'])
+    .withMessage('Status must be pending, reviewed or disputed'),
+  query('lowConfidence')
+    .optional()
+    .isBoolean()
+    .withMessage('Low confidence must be true or false'),
+  query('disease')
+    .optional()
+    .matches(/^[a-z0-9-]+(,[a-z0-9-]+)*$/)
+    .withMessage('Disease must be a comma-separated list of disease keys'),
+  query('sort')
+    .optional()
+    .isIn(REVIEW_SORT_FIELDS.flatMap((field) => [field, `-${field}`]))
+    .withMessage(`Sort must be one of ${REVIEW_SORT_FIELDS.join(', ')} (prefix with - for descending)`),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Limit must be 1-200'),
+  query('cursor')
+    .optional()
+    .isBase64({ urlSafe: true })
+    .withMessage('Cursor is invalid')
+];
+
+const validateReviewer = body('reviewer')
+  .isString()
+  .trim()
+  .isLength({ min: 1, max: 100 })
+  .withMessage('Reviewer must be 1-100 characters');
+
+export const validateReviewSubmission = [
+  body('verifiedLabel')
+    .isString()
+    .matches(/^[a-z0-9-]+$/)
+    .withMessage('Verified label must be a lowercase disease key')
+    .bail()
+    .custom((value) => assertKnownDiseaseKeys([value])),
+  validateReviewer,
+  body('notes')
+    .optional()
+    .isString()
+    .isLength({ max: 2000 })
+    .withMessage('Notes must be maximum 2000 characters')
+];
+
+export const validateReviewDispute = [
+  validateReviewer,
+  body('notes')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Notes explaining the dispute must be 1-2000 characters')
+];
+
+export const validateAccuracyMetricsQuery = [
+  query('modelName')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Model name must be 1-100 characters'),
+  query('modelVersion')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Model version must be 1-50 characters'),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be an ISO 8601 date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be an ISO 8601 date'),
+  query('bands')
+    .optional()
+    .isInt({ min: 2, max: 20 })
+    .withMessage('Bands must be 2-20')
+];
+
+export const validateDatasetExport = [
+  body('classes')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Classes must be a non-empty array of disease keys')
+    .bail()
+    .custom((classes) => {
+      if (!classes.every((key) => typeof key === 'string' && /^[a-z0-9-]+$/.test(key))) {
+        throw new Error('Classes must be lowercase disease keys');
+      }
+      return assertKnownDiseaseKeys(classes);
+    }),
+  body('minConfidence')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('Minimum confidence must be between 0 and 1')
+    .toFloat(),
+  body('from')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('From must be an ISO 8601 date'),
+  body('to')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('To must be an ISO 8601 date'),
+  body('balance')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Balance must be true or false'),
+  body('maxPerClass')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 100000 })
+    .withMessage('Max per class must be 1-100000')
+    .toInt(),
+  body('requestedBy')
+    .optional({ values: 'null' })
+    .isString()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Requested by must be 1-100 characters')
+];
+
+export const validateUploadPlacement = [
+  body('fieldId')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Field ID must be a valid ID'),
+  body('treeId')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Tree ID must be a valid ID')
+];
+
+const validateBoundary = body('boundary')
+  .optional({ values: 'null' })
+  .custom((value) => isValidBoundary(value))
+  .withMessage('Boundary must be a GeoJSON Polygon or MultiPolygon with closed [longitude, latitude] rings');
+
+const validateNotes = body('notes')
+  .optional()
+  .isString()
+  .isLength({ max: 2000 })
+  .withMessage('Notes must be maximum 2000 characters');
+
+const validatePlantingDate = body('plantingDate')
+  .optional({ values: 'null' })
+  .isISO8601()
+  .withMessage('Planting date must be an ISO 8601 date');
+
+const validateVariety = body('variety')
+  .optional({ values: 'null' })
+  .isString()
+  .isLength({ max: 100 })
+  .withMessage('Variety must be maximum 100 characters');
+
+const validateChannels = body('channels')
+  .optional()
+  .isArray({ max: 20 })
+  .withMessage('Channels must be an array')
+  .bail()
+  .custom((channels) => {
+    for (const channel of channels) {
+      if (!channel || !['webhook', 'email', 'sms'].includes(channel.type)) {
+        throw new Error('Channel type must be webhook, email or sms');
+      }
+      if (typeof channel.target !== 'string' || channel.target.trim().length === 0) {
+        throw new Error('Each channel needs a target');
+      }
+      if (channel.type === 'webhook' && !/^https?:\/\//.test(channel.target)) {
+        throw new Error('Webhook targets must be http(s) URLs');
+      }
+      if (channel.type === 'email' && !/^[^@\s]+@[^@\s]+$/.test(channel.target)) {
+        throw new Error('Email targets must be email addresses');
+      }
+      if (channel.type === 'sms' && !/^\+?[0-9]{7,15}$/.test(channel.target)) {
+        throw new Error('SMS targets must be phone numbers');
+      }
+    }
+    return true;
+  });
+
+export const validateFarm = [
+  body('name')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Name must be 1-200 characters'),
+  body('owner.name')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Owner name must be 1-200 characters'),
+  body('owner.contact')
+    .optional({ values: 'null' })
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('Owner contact must be maximum 200 characters'),
+  body('region')
+    .optional({ values: 'null' })
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('Region must be maximum 200 characters'),
+  validateBoundary,
+  validateChannels,
+  validateNotes
+];
+
+export const validateFarmUpdate = [
+  body('name')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Name must be 1-200 characters'),
+  body('owner.name')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Owner name must be 1-200 characters'),
+  ...validateFarm.slice(2)
+];
+
+export const validateField = [
+  body('name')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Name must be 1-200 characters'),
+  body('code')
+    .optional({ values: 'null' })
+    .isString()
+    .isLength({ max: 50 })
+    .withMessage('Code must be maximum 50 characters'),
+  validateBoundary,
+  validateVariety,
+  validatePlantingDate,
+  validateNotes
+];
+
+export const validateFieldUpdate = [
+  body('name')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Name must be 1-200 characters'),
+  ...validateField.slice(1)
+];
+
+export const validateTree = [
+  body('code')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Code must be 1-50 characters'),
+  body('location')
+    .optional({ values: 'null' })
+    .custom((value) => value?.type === 'Point'
+      && Array.isArray(value.coordinates)
+      && value.coordinates.length === 2
+      && Math.abs(value.coordinates[0]) <= 180
+      && Math.abs(value.coordinates[1]) <= 90)
+    .withMessage('Location must be a GeoJSON Point with [longitude, latitude] coordinates'),
+  validateVariety,
+  validatePlantingDate,
+  validateNotes
+];
+
+export const validateTreeUpdate = [
+  body('code')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Code must be 1-50 characters'),
+  ...validateTree.slice(1)
+];
+
+export const validateTimelineQuery = [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be an ISO 8601 date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be an ISO 8601 date'),
+  query('window')
+    .optional()
+    .isInt({ min: 2, max: 20 })
+    .withMessage('Window must be 2-20 scans')
+];
+
+// Rule fields; for updates every field is optional
+const alertRuleValidation = ({ partial }) => {
+  const field = (name) => (partial ? body(name).optional() : body(name));
+
+  return [
+    field('name')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Name must be 1-200 characters'),
+    body('enabled')
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage('Enabled must be true or false'),
+    body('diseases')
+      .optional()
+      .isArray()
+      .withMessage('Diseases must be an array of disease keys')
+      .bail()
+      .custom((diseases) => assertKnownDiseaseKeys(diseases)),
+    body('minSeverity')
+      .optional()
+      .isIn(['low', 'medium', 'high'])
+      .withMessage('Minimum severity must be low, medium, or high'),
+    body('minConfidence')
+      .optional()
+      .isFloat({ min: 0, max: 1 })
+      .withMessage('Minimum confidence must be between 0 and 1')
+      .toFloat(),
+    field('minDetections')
+      .isInt({ min: 1, max: 10000 })
+      .withMessage('Minimum detections must be 1-10000')
+      .toInt(),
+    field('radiusKm')
+      .isFloat({ min: 0.01, max: 500 })
+      .withMessage('Radius must be 0.01-500 km')
+      .toFloat(),
+    field('windowDays')
+      .isInt({ min: 1, max: 365 })
+      .withMessage('Window must be 1-365 days')
+      .toInt(),
+    validateChannels
+  ];
+};
+
+export const validateAlertRule = alertRuleValidation({ partial: false });
+
+export const validateAlertRuleUpdate = alertRuleValidation({ partial: true });
+
+export const validateAlertAction = [
+  body('by')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('By must be 1-100 characters'),
+  body('notes')
+    .optional()
+    .isString()
+    .isLength({ max: 2000 })
+    .withMessage('Notes must be maximum 2000 characters')
+];
+
+export const validateTreatmentAction = [
+  body('diseaseKey')
+    .isString()
+    .matches(/^[a-z0-9-]+$/)
+    .withMessage('Disease key must be lowercase alphanumeric with hyphens only')
+    .bail()
+    .custom((value) => assertKnownDiseaseKeys([value])),
+  body('stepIndex')
+    .optional({ values: 'null' })
+    .isInt({ min: 0, max: 100 })
+    .withMessage('Step index must be a treatment step number starting at 0')
+    .toInt(),
+  body('action')
+    .if((value, { req }) => req.body.stepIndex === undefined || req.body.stepIndex === null)
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Action must be 1-1000 characters when no treatment step is chosen'),
+  body('uploadId')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Upload ID must be a valid ID'),
+  body('fieldId')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Field ID must be a valid ID'),
+  body('treeId')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Tree ID must be a valid ID'),
+  body('performedAt')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Performed at must be an ISO 8601 date')
+    .bail()
+    .custom((value) => new Date(value) <= new Date())
+    .withMessage('Performed at cannot be in the future'),
+  body('performedBy')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Performed by must be 1-100 characters'),
+  body('productCategory')
+    .optional({ values: 'null' })
+    .isIn(PRODUCT_CATEGORIES)
+    .withMessage(`Product category must be one of ${PRODUCT_CATEGORIES.join(', ')}`),
+  body('notes')
+    .optional()
+    .isString()
+    .isLength({ max: 2000 })
+    .withMessage('Notes must be maximum 2000 characters')
+];
+
+export const validateTreatmentQuery = [
+  query('field')
+    .optional()
+    .isMongoId()
+    .withMessage('Field must be a valid ID'),
+  query('tree')
+    .optional()
+    .isMongoId()
+    .withMessage('Tree must be a valid ID'),
+  query('diseaseKey')
+    .optional()
+    .matches(/^[a-z0-9-]+$/)
+    .withMessage('Disease key must be lowercase alphanumeric with hyphens only'),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be an ISO 8601 date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be an ISO 8601 date'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Limit must be 1-500')
+];
+
+export const validateFollowUpQuery = [
+  query('status')
+    .optional()
+    .isIn(FOLLOW_UP_STATUSES)
+    .withMessage(`Status must be one of ${FOLLOW_UP_STATUSES.join(', ')}`),
+  query('field')
+    .optional()
+    .isMongoId()
+    .withMessage('Field must be a valid ID'),
+  query('tree')
+    .optional()
+    .isMongoId()
+    .withMessage('Tree must be a valid ID'),
+  query('diseaseKey')
+    .optional()
+    .matches(/^[a-z0-9-]+$/)
+    .withMessage('Disease key must be lowercase alphanumeric with hyphens only'),
+  query('dueBefore')
+    .optional()
+    .isISO8601()
+    .withMessage('Due before must be an ISO 8601 date'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Limit must be 1-500')
+];
+
+export const validateFollowUpCancel = [
+  body('by')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('By must be 1-100 characters'),
+  body('notes')
+    .optional()
+    .isString()
+    .isLength({ max: 2000 })
+    .withMessage('Notes must be maximum 2000 characters')
+];
+
+export const validatePrevalenceQuery = [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be an ISO 8601 date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be an ISO 8601 date'),
+  query('region')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Region must be 1-200 characters'),
+  query('farm')
+    .optional()
+    .isMongoId()
+    .withMessage('Farm must be a valid ID'),
+  query('interval')
+    .optional()
+    .isIn(['day', 'week', 'month'])
+    .withMessage('Interval must be day, week, or month'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be 1-100')
+];
+
+export const validateWeatherQuery = [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be an ISO 8601 date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be an ISO 8601 date')
+];
+
+export const validateWeatherFetch = [
+  body('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be an ISO 8601 date'),
+  body('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be an ISO 8601 date')
+];
+
+export const validateWeatherObservations = [
+  body('observations')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Observations must be a non-empty array')
+];
+
+export const validateRiskQuery = [
+  query('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Date must be an ISO 8601 date'),
+  query('days')
+    .optional()
+    .isInt({ min: 1, max: 90 })
+    .withMessage('Days must be 1-90'),
+  query('diseaseKey')
+    .optional()
+    .matches(/^[a-z0-9-]+$/)
+    .withMessage('Disease key must be lowercase alphanumeric with hyphens only')
+];
+
+export const validateInspectionReport = [
+  body('title')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Title must be 1-200 characters'),
+  body('uploads')
+    .optional()
+    .isArray({ min: 1, max: 500 })
+    .withMessage('Uploads must be an array of 1-500 upload IDs'),
+  body('uploads.*')
+    .isMongoId()
+    .withMessage('Each upload must be a valid ID'),
+  body('from')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('From must be an ISO 8601 date'),
+  body('to')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('To must be an ISO 8601 date'),
+  body('farmId')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Farm ID must be a valid ID'),
+  body('fieldId')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Field ID must be a valid ID'),
+  body('missionId')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Mission ID must be a valid ID'),
+  body('requestedBy')
+    .optional({ values: 'null' })
+    .isString()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Requested by must be 1-100 characters'),
+  // A report covers a set of uploads or a date range, never the whole upload history
+  body()
+    .custom((value) => Boolean(value.uploads?.length || value.from || value.to || value.missionId))
+    .withMessage('Provide uploads, a date range or a mission for the report')
+];
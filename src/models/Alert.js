@@ -0,0 +1,88 @@
+// FILE: server/src/models/Alert.js
+import mongoose from 'mongoose';
+import { pointSchema } from './geoSchemas.js';
+import { deliverySchema } from './notificationSchemas.js';
+
+export const ALERT_STATUSES = ['open', 'acknowledged', 'resolved'];
+
+const alertSchema = new mongoose.Schema({
+  rule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AlertRule',
+    required: true
+  },
+  // Rule name at the time the alert fired
+  ruleName: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ALERT_STATUSES,
+    default: 'open'
+  },
+  diseaseKeys: {
+    type: [String],
+    default: []
+  },
+  // Location of the detection that triggered the alert; later detections within
+  // radiusKm are added to this alert while it is not resolved
+  center: {
+    type: pointSchema,
+    required: true
+  },
+  radiusKm: {
+    type: Number,
+    required: true
+  },
+  windowDays: {
+    type: Number,
+    required: true
+  },
+  detectionCount: {
+    type: Number,
+    required: true
+  },
+  uploads: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UploadHistory'
+  }],
+  field: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Field',
+    default: null
+  },
+  lastDetectionAt: {
+    type: Date,
+    default: Date.now
+  },
+  acknowledgedBy: { type: String, default: null },
+  acknowledgedAt: { type: Date, default: null },
+  resolvedBy: { type: String, default: null },
+  resolvedAt: { type: Date, default: null },
+  notes: {
+    type: String,
+    maxlength: 2000,
+    default: ''
+  },
+  notifications: {
+    type: [deliverySchema],
+    default: []
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+alertSchema.index({ status: 1, createdAt: -1 });
+alertSchema.index({ rule: 1, status: 1 });
+alertSchema.index({ center: '2dsphere' });
+
+export const Alert = mongoose.model('Alert', alertSchema);
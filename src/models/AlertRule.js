@@ -0,0 +1,67 @@
+// FILE: server/src/models/AlertRule.js
+import mongoose from 'mongoose';
+import { channelSchema } from './notificationSchemas.js';
+
+// "At least minDetections detections of these diseases within radiusKm in windowDays"
+const alertRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // Disease keys that count towards the rule; empty means any disease at or above minSeverity
+  diseases: {
+    type: [String],
+    default: []
+  },
+  minSeverity: {
+    type: String,
+    enum: ['low', 'medium', 'high'],
+    default: 'high'
+  },
+  minConfidence: {
+    type: Number,
+    min: 0,
+    max: 1,
+    default: 0
+  },
+  minDetections: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  radiusKm: {
+    type: Number,
+    required: true,
+    min: 0.01,
+    max: 500
+  },
+  windowDays: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 365
+  },
+  channels: {
+    type: [channelSchema],
+    default: []
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+alertRuleSchema.index({ enabled: 1 });
+
+export const AlertRule = mongoose.model('AlertRule', alertRuleSchema);
@@ -0,0 +1,76 @@
+// FILE: server/src/models/DatasetExport.js
+import mongoose from 'mongoose';
+
+export const EXPORT_STATUSES = ['queued', 'running', 'completed', 'failed'];
+
+const datasetExportSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: EXPORT_STATUSES,
+    default: 'queued',
+    index: true
+  },
+  filters: {
+    classes: { type: [String], default: undefined },
+    minConfidence: { type: Number, default: null },
+    from: { type: Date, default: null },
+    to: { type: Date, default: null },
+    balance: { type: Boolean, default: false },
+    maxPerClass: { type: Number, default: null }
+  },
+  requestedBy: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // Images written per diseaseKey folder
+  classCounts: {
+    type: Map,
+    of: Number,
+    default: undefined
+  },
+  totalImages: {
+    type: Number,
+    default: 0
+  },
+  // Selected records whose files could not be found in storage
+  skipped: {
+    type: Number,
+    default: 0
+  },
+  size: {
+    type: Number,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: null,
+    index: true
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+datasetExportSchema.index({ createdAt: -1 });
+
+export const DatasetExport = mongoose.model('DatasetExport', datasetExportSchema);
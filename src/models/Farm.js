@@ -0,0 +1,52 @@
+// FILE: server/src/models/Farm.js
+import mongoose from 'mongoose';
+import { boundarySchema } from './geoSchemas.js';
+import { channelSchema } from './notificationSchemas.js';
+
+const farmSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  owner: {
+    name: { type: String, required: true, trim: true },
+    contact: { type: String, trim: true, default: null }
+  },
+  // Province or municipality, used to group farms in reports
+  region: {
+    type: String,
+    trim: true,
+    default: null,
+    index: true
+  },
+  boundary: {
+    type: boundarySchema,
+    default: undefined
+  },
+  // Where re-scan reminders for this farm are sent
+  channels: {
+    type: [channelSchema],
+    default: []
+  },
+  notes: {
+    type: String,
+    maxlength: 2000,
+    default: ''
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+farmSchema.index({ 'owner.name': 1 });
+farmSchema.index({ boundary: '2dsphere' });
+
+export const Farm = mongoose.model('Farm', farmSchema);
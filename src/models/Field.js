@@ -0,0 +1,63 @@
+// FILE: server/src/models/Field.js
+import mongoose from 'mongoose';
+import { boundarySchema } from './geoSchemas.js';
+
+// A field or block within a farm; uploads whose GPS point falls inside the boundary are assigned to it
+const fieldSchema = new mongoose.Schema({
+  farm: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Farm',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Short block code painted on site, e.g. "B3"
+  code: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  boundary: {
+    type: boundarySchema,
+    default: undefined
+  },
+  variety: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  plantingDate: {
+    type: Date,
+    default: null
+  },
+  notes: {
+    type: String,
+    maxlength: 2000,
+    default: ''
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+fieldSchema.index({ farm: 1, name: 1 });
+fieldSchema.index({ boundary: '2dsphere' });
+
+// Field whose boundary contains a GeoJSON point. Overlapping blocks resolve to the most recently registered.
+fieldSchema.statics.findContaining = function(point) {
+  return this.findOne({
+    boundary: { $geoIntersects: { $geometry: point } }
+  }).sort({ createdAt: -1 });
+};
+
+export const Field = mongoose.model('Field', fieldSchema);
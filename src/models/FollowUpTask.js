@@ -0,0 +1,84 @@
+// FILE: server/src/models/FollowUpTask.js
+import mongoose from 'mongoose';
+import { deliverySchema } from './notificationSchemas.js';
+
+// scheduled: waiting for the due date; due: reminder sent, re-scan outstanding;
+// completed: a new scan of the field or tree arrived; cancelled: closed by hand
+export const FOLLOW_UP_STATUSES = ['scheduled', 'due', 'completed', 'cancelled'];
+
+export const OPEN_FOLLOW_UP_STATUSES = ['scheduled', 'due'];
+
+const followUpTaskSchema = new mongoose.Schema({
+  // Detection that called for the re-inspection; cleared if that upload is deleted
+  upload: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UploadHistory',
+    default: null
+  },
+  farm: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Farm',
+    required: true
+  },
+  field: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Field',
+    required: true
+  },
+  // Null for field-level follow-ups, which any scan of the field completes
+  tree: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tree',
+    default: null
+  },
+  diseaseKey: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: FOLLOW_UP_STATUSES,
+    default: 'scheduled'
+  },
+  dueAt: {
+    type: Date,
+    required: true
+  },
+  notifiedAt: { type: Date, default: null },
+  notifications: {
+    type: [deliverySchema],
+    default: []
+  },
+  // Scan that completed the follow-up
+  completedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UploadHistory',
+    default: null
+  },
+  completedAt: { type: Date, default: null },
+  cancelledBy: { type: String, default: null },
+  cancelledAt: { type: Date, default: null },
+  notes: {
+    type: String,
+    maxlength: 2000,
+    default: ''
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+followUpTaskSchema.index({ status: 1, dueAt: 1 });
+followUpTaskSchema.index({ field: 1, status: 1 });
+followUpTaskSchema.index({ tree: 1, status: 1 });
+
+export const FollowUpTask = mongoose.model('FollowUpTask', followUpTaskSchema);
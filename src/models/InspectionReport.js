@@ -0,0 +1,89 @@
+// FILE: server/src/models/InspectionReport.js
+import mongoose from 'mongoose';
+
+export const REPORT_STATUSES = ['queued', 'running', 'completed', 'failed'];
+
+const inspectionReportSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: REPORT_STATUSES,
+    default: 'queued',
+    index: true
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: 200,
+    default: 'Field Inspection Report'
+  },
+  // Uploads are selected either by ID or by date range, optionally narrowed by placement or mission
+  filters: {
+    uploads: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'UploadHistory' }],
+      default: undefined
+    },
+    from: { type: Date, default: null },
+    to: { type: Date, default: null },
+    farm: { type: mongoose.Schema.Types.ObjectId, ref: 'Farm', default: null },
+    field: { type: mongoose.Schema.Types.ObjectId, ref: 'Field', default: null },
+    mission: { type: mongoose.Schema.Types.ObjectId, ref: 'Mission', default: null }
+  },
+  requestedBy: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  uploadCount: {
+    type: Number,
+    default: 0
+  },
+  // Uploads matching the filters; more than uploadCount when the report hit the image cap
+  matchedCount: {
+    type: Number,
+    default: 0
+  },
+  truncated: {
+    type: Boolean,
+    default: false
+  },
+  // Images shown without a thumbnail because their files could not be read
+  missingImages: {
+    type: Number,
+    default: 0
+  },
+  size: {
+    type: Number,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: null,
+    index: true
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+inspectionReportSchema.index({ createdAt: -1 });
+
+export const InspectionReport = mongoose.model('InspectionReport', inspectionReportSchema);
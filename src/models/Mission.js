@@ -0,0 +1,120 @@
+// FILE: server/src/models/Mission.js
+import mongoose from 'mongoose';
+import { UploadHistory } from './UploadHistory.js';
+import { Recommendation } from './Recommendation.js';
+
+const missionSchema = new mongoose.Schema({
+  droneId: {
+    type: String,
+    required: true,
+    trim: true,
+    index: true
+  },
+  operator: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  field: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  startTime: {
+    type: Date,
+    default: Date.now
+  },
+  endTime: {
+    type: Date,
+    default: null
+  },
+  notes: {
+    type: String,
+    maxlength: 2000,
+    default: ''
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+missionSchema.index({ startTime: -1 });
+
+missionSchema.pre('validate', function(next) {
+  if (this.endTime && this.startTime && this.endTime < this.startTime) {
+    this.invalidate('endTime', 'End time must be after start time');
+  }
+  next();
+});
+
+// Aggregate per-class detection counts and the worst severity across the mission's uploads
+missionSchema.methods.getSummary = async function() {
+  const classCounts = await UploadHistory.aggregate([
+    { $match: { mission: this._id } },
+    {
+      $group: {
+        _id: '$diseaseDetected',
+        count: { $sum: 1 },
+        avgConfidence: { $avg: '$confidence' }
+      }
+    },
+    {
+      $lookup: {
+        from: 'recommendations',
+        localField: '_id',
+        foreignField: 'diseaseKey',
+        as: 'recommendation'
+      }
+    },
+    { $unwind: { path: '$recommendation', preserveNullAndEmptyArrays: true } },
+    { $sort: { count: -1 } }
+  ]);
+
+  let totalUploads = 0;
+  let pendingDetection = 0;
+  let worstSeverity = null;
+  const detections = [];
+
+  for (const entry of classCounts) {
+    totalUploads += entry.count;
+
+    if (entry._id === null) {
+      pendingDetection = entry.count;
+      continue;
+    }
+
+    const severity = entry.recommendation?.severity || null;
+    if (severity && Recommendation.severityRank(severity) > Recommendation.severityRank(worstSeverity)) {
+      worstSeverity = severity;
+    }
+
+    detections.push({
+      diseaseKey: entry._id,
+      displayName: entry.recommendation?.displayName || entry._id,
+      severity,
+      count: entry.count,
+      avgConfidence: entry.avgConfidence
+    });
+  }
+
+  return {
+    missionId: this._id,
+    droneId: this.droneId,
+    field: this.field,
+    startTime: this.startTime,
+    endTime: this.endTime,
+    totalUploads,
+    pendingDetection,
+    worstSeverity,
+    detections
+  };
+};
+
+export const Mission = mongoose.model('Mission', missionSchema);
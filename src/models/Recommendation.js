@@ -1,5 +1,50 @@
 // FILE: server/src/models/Recommendation.js
 import mongoose from 'mongoose';
+import { WEATHER_VARIABLES } from './WeatherObservation.js';
+
+// Ordered from least to most severe
+const SEVERITY_LEVELS = ['low', 'medium', 'high'];
+
+// Disease key the classifier uses for leaves without disease
+export const HEALTHY_DISEASE_KEY = 'healthy';
+
+// Shown with every recommendation served from the database
+export const SAFETY_DISCLAIMER = 'This is guidance only. Always consult an agriculture expert for professional diagnosis and treatment confirmation.';
+
+// One weather condition that raises the risk of a disease, e.g. "at least 10mm of rain
+// over the last 3 days". The daily risk score is the weight share of conditions met.
+const riskRuleSchema = new mongoose.Schema({
+  variable: {
+    type: String,
+    enum: WEATHER_VARIABLES,
+    required: true
+  },
+  // How the daily values in the lookback window are combined
+  aggregate: {
+    type: String,
+    enum: ['sum', 'mean', 'min', 'max'],
+    default: 'mean'
+  },
+  lookbackDays: {
+    type: Number,
+    min: 1,
+    max: 30,
+    default: 1
+  },
+  // Inclusive range the aggregated value must fall in; either end may be open
+  min: { type: Number, default: null },
+  max: { type: Number, default: null },
+  weight: {
+    type: Number,
+    min: 0,
+    default: 1
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  }
+}, { _id: false });
 
 const recommendationSchema = new mongoose.Schema({
   diseaseKey: {
@@ -43,7 +88,7 @@ const recommendationSchema = new mongoose.Schema({
   severity: {
     type: String,
     required: true,
-    enum: ['low', 'medium', 'high'],
+    enum: SEVERITY_LEVELS,
     lowercase: true
   },
   whenToEscalate: [{
@@ -51,6 +96,17 @@ const recommendationSchema = new mongoose.Schema({
     required: true,
     trim: true
   }],
+  // Days after a detection before the farmer should re-scan; null means no follow-up
+  followUpDays: {
+    type: Number,
+    min: 1,
+    max: 365,
+    default: null
+  },
+  riskRules: {
+    type: [riskRuleSchema],
+    default: []
+  },
   references: [{
     type: String,
     trim: true
@@ -83,7 +139,7 @@ recommendationSchema.pre('save', function(next) {
 recommendationSchema.methods.getSafeRecommendation = function() {
   return {
     ...this.toObject(),
-    disclaimer: "This is guidance only. Always consult an agriculture expert for professional diagnosis and treatment confirmation."
+    disclaimer: SAFETY_DISCLAIMER
   };
 };
 
@@ -92,4 +148,9 @@ recommendationSchema.statics.normalizeKey = function(key) {
   return key.toLowerCase().trim().replace(/\s+/g, '-');
 };
 
+// Static method to rank severities for comparison (-1 for unknown)
+recommendationSchema.statics.severityRank = function(severity) {
+  return SEVERITY_LEVELS.indexOf(severity);
+};
+
 export const Recommendation = mongoose.model('Recommendation', recommendationSchema);
\ No newline at end of file
@@ -0,0 +1,97 @@
+// FILE: server/src/models/TreatmentAction.js
+import mongoose from 'mongoose';
+
+// Product categories only; dosages are deliberately not recorded
+export const PRODUCT_CATEGORIES = [
+  'fungicide',
+  'bactericide',
+  'copper-based',
+  'insecticide',
+  'miticide',
+  'fertilizer',
+  'biological',
+  'other'
+];
+
+const treatmentActionSchema = new mongoose.Schema({
+  farm: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Farm',
+    required: true
+  },
+  field: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Field',
+    required: true
+  },
+  tree: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tree',
+    default: null
+  },
+  // Detection that prompted the action, if any
+  upload: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UploadHistory',
+    default: null
+  },
+  diseaseKey: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  // What was done: a Recommendation treatment step, or free text
+  action: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 1000
+  },
+  // Index into Recommendation.treatmentSteps when the action is one of the recommended steps
+  stepIndex: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  source: {
+    type: String,
+    enum: ['recommendation', 'custom'],
+    required: true
+  },
+  performedAt: {
+    type: Date,
+    required: true
+  },
+  performedBy: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  productCategory: {
+    type: String,
+    enum: [...PRODUCT_CATEGORIES, null],
+    default: null
+  },
+  notes: {
+    type: String,
+    maxlength: 2000,
+    default: ''
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+treatmentActionSchema.index({ field: 1, performedAt: -1 });
+treatmentActionSchema.index({ tree: 1, performedAt: -1 });
+treatmentActionSchema.index({ diseaseKey: 1, performedAt: -1 });
+
+export const TreatmentAction = mongoose.model('TreatmentAction', treatmentActionSchema);
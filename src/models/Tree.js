@@ -0,0 +1,57 @@
+// FILE: server/src/models/Tree.js
+import mongoose from 'mongoose';
+import { pointSchema } from './geoSchemas.js';
+
+const treeSchema = new mongoose.Schema({
+  field: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Field',
+    required: true
+  },
+  // Copied from the field so farm-wide queries don't need a join
+  farm: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Farm',
+    required: true,
+    index: true
+  },
+  // Tag or row/position label, unique within the field, e.g. "R12-T07"
+  code: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  location: {
+    type: pointSchema,
+    default: undefined
+  },
+  variety: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  plantingDate: {
+    type: Date,
+    default: null
+  },
+  notes: {
+    type: String,
+    maxlength: 2000,
+    default: ''
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+treeSchema.index({ field: 1, code: 1 }, { unique: true });
+treeSchema.index({ location: '2dsphere' });
+
+export const Tree = mongoose.model('Tree', treeSchema);
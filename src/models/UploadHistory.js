@@ -1,5 +1,24 @@
 // FILE: server/src/models/UploadHistory.js
 import mongoose from 'mongoose';
+import { pointSchema } from './geoSchemas.js';
+
+const derivativeSchema = new mongoose.Schema({
+  filename: { type: String, required: true },
+  width: Number,
+  height: Number,
+  size: Number
+}, { _id: false });
+
+export const REVIEW_STATUSES = ['pending', 'reviewed', 'disputed'];
+
+// One entry per review or dispute, oldest first
+const reviewEventSchema = new mongoose.Schema({
+  status: { type: String, enum: REVIEW_STATUSES, required: true },
+  verifiedLabel: { type: String, default: null },
+  reviewer: { type: String, required: true },
+  notes: { type: String, maxlength: 2000, default: '' },
+  at: { type: Date, default: Date.now }
+}, { _id: false });
 
 const uploadHistorySchema = new mongoose.Schema({
   filename: {
@@ -11,10 +30,21 @@ const uploadHistorySchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Storage key of the original; legacy records hold an absolute local path
   path: {
     type: String,
     required: true
   },
+  storageDriver: {
+    type: String,
+    enum: ['local', 's3'],
+    default: 'local'
+  },
+  // Set by storage reconciliation when the original can no longer be found
+  fileMissingAt: {
+    type: Date,
+    default: null
+  },
   size: {
     type: Number,
     required: true
@@ -23,6 +53,10 @@ const uploadHistorySchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  contentHash: {
+    type: String,
+    default: undefined
+  },
   uploadedAt: {
     type: Date,
     default: Date.now
@@ -42,10 +76,102 @@ const uploadHistorySchema = new mongoose.Schema({
   detectionAt: {
     type: Date,
     default: null
+  },
+  detectionSource: {
+    type: String,
+    enum: ['client', 'server', null],
+    default: null
+  },
+  // Full class distribution keyed by diseaseKey
+  probabilities: {
+    type: Map,
+    of: Number,
+    default: undefined
+  },
+  // Gap between the top two class probabilities; small margins flag uncertain predictions
+  predictionMargin: {
+    type: Number,
+    default: null
+  },
+  classifier: {
+    name: { type: String, default: null },
+    version: { type: String, default: null },
+    runtime: { type: String, default: null }
+  },
+  inferenceTimeMs: {
+    type: Number,
+    default: null
+  },
+  mission: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Mission',
+    default: null
+  },
+  // Orchard registry placement, set explicitly or from the GPS point and field boundaries
+  farm: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Farm',
+    default: null
+  },
+  field: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Field',
+    default: null
+  },
+  tree: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tree',
+    default: null
+  },
+  placementSource: {
+    type: String,
+    enum: ['manual', 'auto', null],
+    default: null
+  },
+  location: {
+    type: pointSchema,
+    default: undefined
+  },
+  capture: {
+    capturedAt: { type: Date, default: null },
+    altitude: { type: Number, default: null },
+    relativeAltitude: { type: Number, default: null },
+    cameraMake: { type: String, default: null },
+    cameraModel: { type: String, default: null },
+    gimbalPitch: { type: Number, default: null }
+  },
+  derivatives: {
+    thumbnail: { type: derivativeSchema, default: undefined },
+    medium: { type: derivativeSchema, default: undefined }
+  },
+  // Quality gate scores, measured before detection
+  quality: {
+    status: { type: String, enum: ['passed', 'flagged', null], default: null },
+    issues: { type: [String], default: undefined },
+    sharpness: { type: Number, default: null },
+    brightness: { type: Number, default: null },
+    overexposedRatio: { type: Number, default: null },
+    underexposedRatio: { type: Number, default: null },
+    width: { type: Number, default: null },
+    height: { type: Number, default: null },
+    assessedAt: { type: Date, default: null }
+  },
+  // Expert sign-off on the detection. The model output stays in diseaseDetected;
+  // predictedLabel/predictedConfidence snapshot what the reviewer actually saw.
+  review: {
+    status: { type: String, enum: REVIEW_STATUSES, default: 'pending' },
+    verifiedLabel: { type: String, default: null },
+    predictedLabel: { type: String, default: null },
+    predictedConfidence: { type: Number, default: null },
+    reviewer: { type: String, default: null },
+    notes: { type: String, maxlength: 2000, default: '' },
+    reviewedAt: { type: Date, default: null },
+    history: { type: [reviewEventSchema], default: undefined }
   }
 }, {
   timestamps: true,
   toJSON: {
+    virtuals: true,
     transform: function(doc, ret) {
       ret.id = ret._id;
       delete ret._id;
@@ -55,9 +181,45 @@ const uploadHistorySchema = new mongoose.Schema({
   }
 });
 
+// Public URLs for the original and its derivatives (fall back to the original when missing)
+uploadHistorySchema.virtual('url').get(function() {
+  return this.filename ? `/uploads/${this.filename}` : undefined;
+});
+
+uploadHistorySchema.virtual('thumbnailUrl').get(function() {
+  const derivative = this.derivatives?.thumbnail;
+  return derivative ? `/uploads/${derivative.filename}` : this.url;
+});
+
+uploadHistorySchema.virtual('previewUrl').get(function() {
+  const derivative = this.derivatives?.medium;
+  return derivative ? `/uploads/${derivative.filename}` : this.url;
+});
+
 // Create indexes for better query performance
 uploadHistorySchema.index({ uploadedAt: -1 });
 uploadHistorySchema.index({ filename: 1 });
+// File serving looks up which storage backend holds a derivative
+uploadHistorySchema.index({ 'derivatives.thumbnail.filename': 1 });
+uploadHistorySchema.index({ 'derivatives.medium.filename': 1 });
 uploadHistorySchema.index({ diseaseDetected: 1 });
+uploadHistorySchema.index({ diseaseDetected: 1, uploadedAt: -1 });
+uploadHistorySchema.index({ detectionAt: -1, _id: -1 });
+uploadHistorySchema.index({ confidence: -1, _id: -1 });
+uploadHistorySchema.index({ 'classifier.name': 1, 'classifier.version': 1 });
+uploadHistorySchema.index({ predictionMargin: 1 });
+uploadHistorySchema.index({ 'quality.status': 1, uploadedAt: -1 });
+uploadHistorySchema.index({ mission: 1, uploadedAt: 1 });
+uploadHistorySchema.index({ farm: 1, uploadedAt: -1 });
+// Prevalence analytics: date range alone, or date range within a region's farms
+uploadHistorySchema.index({ detectionAt: 1, diseaseDetected: 1 });
+uploadHistorySchema.index({ farm: 1, detectionAt: 1 });
+uploadHistorySchema.index({ field: 1, detectionAt: -1 });
+uploadHistorySchema.index({ tree: 1, detectionAt: -1 });
+uploadHistorySchema.index({ 'review.status': 1, confidence: 1, _id: 1 });
+uploadHistorySchema.index({ 'review.status': 1, 'classifier.name': 1, 'classifier.version': 1, detectionAt: -1 });
+uploadHistorySchema.index({ location: '2dsphere' });
+// Sparse so records stored before hashing was introduced don't collide
+uploadHistorySchema.index({ contentHash: 1 }, { unique: true, sparse: true });
 
 export const UploadHistory = mongoose.model('UploadHistory', uploadHistorySchema);
\ No newline at end of file
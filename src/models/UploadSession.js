@@ -0,0 +1,62 @@
+// FILE: server/src/models/UploadSession.js
+import mongoose from 'mongoose';
+
+const uploadSessionSchema = new mongoose.Schema({
+  originalName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  mimetype: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  offset: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  mission: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Mission',
+    default: null
+  },
+  // Set once a /complete request has claimed the session, so the file is only moved once
+  finalizing: {
+    type: Boolean,
+    default: false
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: true
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+uploadSessionSchema.pre('validate', function(next) {
+  if (this.offset > this.size) {
+    this.invalidate('offset', 'Offset cannot exceed the declared upload size');
+  }
+  next();
+});
+
+uploadSessionSchema.methods.isComplete = function() {
+  return this.offset === this.size;
+};
+
+export const UploadSession = mongoose.model('UploadSession', uploadSessionSchema);
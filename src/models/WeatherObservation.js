@@ -0,0 +1,53 @@
+// FILE: server/src/models/WeatherObservation.js
+import mongoose from 'mongoose';
+
+// Daily weather variables the disease risk rules can refer to
+export const WEATHER_VARIABLES = [
+  'rainfallMm',
+  'humidityPct',
+  'temperatureC',
+  'minTemperatureC',
+  'maxTemperatureC'
+];
+
+// One day of weather for a farm. Sub-daily readings are rolled up into daily
+// values on import, and a later import of the same day replaces it.
+const weatherObservationSchema = new mongoose.Schema({
+  farm: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Farm',
+    required: true
+  },
+  // Start of the UTC day
+  date: {
+    type: Date,
+    required: true
+  },
+  // Total rainfall for the day
+  rainfallMm: { type: Number, min: 0, default: null },
+  // Mean relative humidity
+  humidityPct: { type: Number, min: 0, max: 100, default: null },
+  // Mean, minimum and maximum air temperature
+  temperatureC: { type: Number, min: -50, max: 60, default: null },
+  minTemperatureC: { type: Number, min: -50, max: 60, default: null },
+  maxTemperatureC: { type: Number, min: -50, max: 60, default: null },
+  // "upload" for CSV/JSON imports, otherwise the weather provider name
+  source: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+weatherObservationSchema.index({ farm: 1, date: 1 }, { unique: true });
+
+export const WeatherObservation = mongoose.model('WeatherObservation', weatherObservationSchema);
@@ -0,0 +1,65 @@
+// FILE: server/src/models/geoSchemas.js
+import mongoose from 'mongoose';
+
+const isPosition = (position) => Array.isArray(position)
+  && position.length === 2
+  && position.every((value) => typeof value === 'number' && Number.isFinite(value))
+  && Math.abs(position[0]) <= 180
+  && Math.abs(position[1]) <= 90;
+
+// A closed ring of at least four [longitude, latitude] positions
+const isLinearRing = (ring) => Array.isArray(ring)
+  && ring.length >= 4
+  && ring.every(isPosition)
+  && ring[0][0] === ring[ring.length - 1][0]
+  && ring[0][1] === ring[ring.length - 1][1];
+
+const isPolygonCoordinates = (rings) => Array.isArray(rings) && rings.length > 0 && rings.every(isLinearRing);
+
+// Structural check for GeoJSON Polygon and MultiPolygon geometries
+export const isValidBoundary = (geometry) => {
+  if (!geometry || typeof geometry !== 'object') return false;
+  if (geometry.type === 'Polygon') return isPolygonCoordinates(geometry.coordinates);
+  if (geometry.type === 'MultiPolygon') {
+    return Array.isArray(geometry.coordinates)
+      && geometry.coordinates.length > 0
+      && geometry.coordinates.every(isPolygonCoordinates);
+  }
+  return false;
+};
+
+// GeoJSON point, stored as [longitude, latitude]
+export const pointSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Point'],
+    required: true
+  },
+  coordinates: {
+    type: [Number],
+    required: true,
+    validate: {
+      validator: (value) => value.length === 2
+        && Math.abs(value[0]) <= 180
+        && Math.abs(value[1]) <= 90,
+      message: 'Coordinates must be [longitude, latitude]'
+    }
+  }
+}, { _id: false });
+
+// GeoJSON Polygon or MultiPolygon boundary
+export const boundarySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Polygon', 'MultiPolygon'],
+    required: true
+  },
+  coordinates: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  }
+}, { _id: false });
+
+boundarySchema.path('coordinates').validate(function(coordinates) {
+  return isValidBoundary({ type: this.type, coordinates });
+}, 'Boundary must be a closed GeoJSON polygon of [longitude, latitude] positions');
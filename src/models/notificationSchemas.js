@@ -0,0 +1,26 @@
+// FILE: server/src/models/notificationSchemas.js
+import mongoose from 'mongoose';
+import { NOTIFIER_TYPES } from '../services/notifiers/index.js';
+
+// Where to send a notification: a webhook URL, email address or phone number
+export const channelSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: NOTIFIER_TYPES,
+    required: true
+  },
+  target: {
+    type: String,
+    required: true,
+    trim: true
+  }
+}, { _id: false });
+
+// Outcome of one delivery attempt
+export const deliverySchema = new mongoose.Schema({
+  type: { type: String, enum: NOTIFIER_TYPES, required: true },
+  target: { type: String, required: true },
+  status: { type: String, enum: ['sent', 'failed'], required: true },
+  error: { type: String, default: null },
+  at: { type: Date, default: Date.now }
+}, { _id: false });
@@ -0,0 +1,192 @@
+// FILE: server/src/routes/alerts.js
+import express from 'express';
+import { Alert, ALERT_STATUSES } from '../models/Alert.js';
+import { AlertRule } from '../models/AlertRule.js';
+import { acknowledgeAlert, resolveAlert } from '../services/outbreakAlerts.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import {
+  validateObjectIdParam,
+  validateAlertRule,
+  validateAlertRuleUpdate,
+  validateAlertAction,
+  handleValidationErrors
+} from '../middleware/validation.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+const RULE_FIELDS = [
+  'name',
+  'enabled',
+  'diseases',
+  'minSeverity',
+  'minConfidence',
+  'minDetections',
+  'radiusKm',
+  'windowDays',
+  'channels'
+];
+
+// List alert rules
+router.get('/rules', asyncHandler(async (req, res) => {
+  const rules = await AlertRule.find().sort({ createdAt: -1 });
+
+  res.json({
+    success: true,
+    count: rules.length,
+    data: rules
+  });
+}));
+
+// Create an alert rule
+router.post('/rules',
+  validateAlertRule,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const fields = {};
+    for (const key of RULE_FIELDS) {
+      if (req.body[key] !== undefined) fields[key] = req.body[key];
+    }
+
+    const rule = await AlertRule.create(fields);
+
+    logger.info('Alert rule created', { ruleId: rule._id, name: rule.name });
+
+    res.status(201).json({
+      success: true,
+      data: rule
+    });
+  })
+);
+
+// Update an alert rule, e.g. disable it or change its thresholds
+router.patch('/rules/:id',
+  validateObjectIdParam('id'),
+  validateAlertRuleUpdate,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const rule = await AlertRule.findById(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({ error: 'Alert rule not found' });
+    }
+
+    for (const key of RULE_FIELDS) {
+      if (req.body[key] !== undefined) {
+        rule[key] = req.body[key];
+      }
+    }
+    await rule.save();
+
+    res.json({
+      success: true,
+      data: rule
+    });
+  })
+);
+
+// Delete an alert rule; alerts it already raised are kept
+router.delete('/rules/:id',
+  validateObjectIdParam('id'),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const rule = await AlertRule.findByIdAndDelete(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({ error: 'Alert rule not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Alert rule deleted',
+      id: rule._id
+    });
+  })
+);
+
+// List alerts, most recent first
+router.get('/', asyncHandler(async (req, res) => {
+  const { status, rule, limit = 50, offset = 0 } = req.query;
+
+  const filter = {};
+  if (ALERT_STATUSES.includes(status)) filter.status = status;
+  if (rule) filter.rule = String(rule);
+
+  const [alerts, total] = await Promise.all([
+    Alert.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(parseInt(offset) || 0)
+      .limit(Math.min(parseInt(limit) || 50, 200)),
+    Alert.countDocuments(filter)
+  ]);
+
+  res.json({
+    success: true,
+    count: alerts.length,
+    total,
+    data: alerts
+  });
+}));
+
+// Get a single alert with its linked detections
+router.get('/:id',
+  validateObjectIdParam('id'),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const alert = await Alert.findById(req.params.id)
+      .populate('uploads', 'filename derivatives diseaseDetected confidence detectionAt location field');
+
+    if (!alert) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+
+    res.json({
+      success: true,
+      data: alert
+    });
+  })
+);
+
+// Acknowledge an open alert
+router.post('/:id/acknowledge',
+  validateObjectIdParam('id'),
+  validateAlertAction,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const alert = await Alert.findById(req.params.id);
+
+    if (!alert) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+
+    await acknowledgeAlert(alert, req.body);
+
+    res.json({
+      success: true,
+      data: alert
+    });
+  })
+);
+
+// Resolve an alert
+router.post('/:id/resolve',
+  validateObjectIdParam('id'),
+  validateAlertAction,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const alert = await Alert.findById(req.params.id);
+
+    if (!alert) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+
+    await resolveAlert(alert, req.body);
+
+    res.json({
+      success: true,
+      data: alert
+    });
+  })
+);
+
+export default router;
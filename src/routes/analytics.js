@@ -0,0 +1,49 @@
+// FILE: server/src/routes/analytics.js
+import express from 'express';
+import {
+  computePrevalenceSeries,
+  computePrevalenceSummary,
+  computeTopAffectedFields
+} from '../services/prevalenceAnalytics.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { validatePrevalenceQuery, handleValidationErrors } from '../middleware/validation.js';
+
+const router = express.Router();
+
+// Detection counts per disease by day, week or month
+router.get('/prevalence',
+  validatePrevalenceQuery,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: await computePrevalenceSeries(req.query)
+    });
+  })
+);
+
+// Healthy vs diseased share and average confidence
+router.get('/summary',
+  validatePrevalenceQuery,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: await computePrevalenceSummary(req.query)
+    });
+  })
+);
+
+// Fields with the most diseased detections
+router.get('/top-fields',
+  validatePrevalenceQuery,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: await computeTopAffectedFields(req.query)
+    });
+  })
+);
+
+export default router;
@@ -0,0 +1,141 @@
+// FILE: server/src/routes/datasets.js
+import express from 'express';
+import fs from 'fs';
+import { DatasetExport } from '../models/DatasetExport.js';
+import {
+  createDatasetExport,
+  deleteDatasetExport,
+  getExportPath
+} from '../services/datasetExport.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import {
+  validateObjectIdParam,
+  validateDatasetExport,
+  handleValidationErrors
+} from '../middleware/validation.js';
+
+const router = express.Router();
+
+// Public URL of a finished archive
+const withDownloadUrl = (datasetExport) => ({
+  ...datasetExport.toJSON(),
+  downloadUrl: datasetExport.status === 'completed'
+    ? `/api/datasets/${datasetExport._id}/download`
+    : null
+});
+
+// List dataset exports, most recent first
+router.get('/', asyncHandler(async (req, res) => {
+  const { status, limit = 20 } = req.query;
+
+  const filter = {};
+  if (status) filter.status = String(status);
+
+  const exports = await DatasetExport.find(filter)
+    .sort({ createdAt: -1 })
+    .limit(Math.min(parseInt(limit) || 20, 100));
+
+  res.json({
+    success: true,
+    count: exports.length,
+    data: exports.map(withDownloadUrl)
+  });
+}));
+
+// Queue a training dataset export of reviewed uploads
+router.post('/',
+  validateDatasetExport,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { classes, minConfidence, from, to, balance = false, maxPerClass, requestedBy } = req.body;
+
+    const datasetExport = await createDatasetExport({
+      classes,
+      minConfidence: minConfidence ?? null,
+      from: from || null,
+      to: to || null,
+      balance,
+      maxPerClass: maxPerClass ?? null
+    }, requestedBy || null);
+
+    res.status(202)
+      .location(`/api/datasets/${datasetExport._id}`)
+      .json({
+        success: true,
+        data: withDownloadUrl(datasetExport)
+      });
+  })
+);
+
+// Poll an export's progress
+router.get('/:id',
+  validateObjectIdParam('id'),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const datasetExport = await DatasetExport.findById(req.params.id);
+
+    if (!datasetExport) {
+      return res.status(404).json({ error: 'Dataset export not found' });
+    }
+
+    res.json({
+      success: true,
+      data: withDownloadUrl(datasetExport)
+    });
+  })
+);
+
+// Download a finished archive
+router.get('/:id/download',
+  validateObjectIdParam('id'),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const datasetExport = await DatasetExport.findById(req.params.id);
+
+    if (!datasetExport) {
+      return res.status(404).json({ error: 'Dataset export not found' });
+    }
+
+    if (datasetExport.status !== 'completed') {
+      return res.status(409).json({
+        error: 'Dataset export is not ready',
+        status: datasetExport.status
+      });
+    }
+
+    const archivePath = getExportPath(datasetExport);
+    if (!fs.existsSync(archivePath)) {
+      return res.status(410).json({ error: 'Dataset archive is no longer available' });
+    }
+
+    const date = datasetExport.completedAt.toISOString().slice(0, 10);
+    res.download(archivePath, `agridrone-dataset-${date}-${datasetExport._id}.zip`);
+  })
+);
+
+// Delete an export and its archive
+router.delete('/:id',
+  validateObjectIdParam('id'),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const datasetExport = await DatasetExport.findById(req.params.id);
+
+    if (!datasetExport) {
+      return res.status(404).json({ error: 'Dataset export not found' });
+    }
+
+    if (datasetExport.status === 'running') {
+      return res.status(409).json({ error: 'Dataset export is still running' });
+    }
+
+    await deleteDatasetExport(datasetExport);
+
+    res.json({
+      success: true,
+      message: 'Dataset export deleted',
+      id: datasetExport._id
+    });
+  })
+);
+
+export default router;
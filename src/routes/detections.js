@@ -0,0 +1,82 @@
+// FILE: server/src/routes/detections.js
+import express from 'express';
+import { UploadHistory } from '../models/UploadHistory.js';
+import { Recommendation } from '../models/Recommendation.js';
+import { buildDetectionFilter, buildSpatialFilter } from '../services/uploadFilters.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import {
+  validateDetectionFilters,
+  validateSpatialFilters,
+  handleValidationErrors
+} from '../middleware/validation.js';
+
+const router = express.Router();
+
+// Convert a located upload into a GeoJSON feature
+const toFeature = (upload, recommendations) => {
+  const recommendation = recommendations.get(upload.diseaseDetected);
+
+  return {
+    type: 'Feature',
+    id: String(upload._id),
+    geometry: upload.location,
+    properties: {
+      uploadId: String(upload._id),
+      diseaseKey: upload.diseaseDetected,
+      displayName: recommendation?.displayName || upload.diseaseDetected,
+      prediction: upload.prediction,
+      confidence: upload.confidence,
+      severity: recommendation?.severity || null,
+      uploadedAt: upload.uploadedAt,
+      capturedAt: upload.capture?.capturedAt || null,
+      detectionAt: upload.detectionAt,
+      altitude: upload.capture?.altitude ?? null,
+      mission: upload.mission ? String(upload.mission) : null,
+      url: `/uploads/${upload.filename}`,
+      thumbnailUrl: upload.derivatives?.thumbnail
+        ? `/uploads/${upload.derivatives.thumbnail.filename}`
+        : `/uploads/${upload.filename}`
+    }
+  };
+};
+
+// Detections as a GeoJSON FeatureCollection for QGIS/Leaflet
+router.get('/geojson',
+  validateDetectionFilters,
+  validateSpatialFilters,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const limit = parseInt(req.query.limit) || 1000;
+
+    // Only uploads that have both a location and a detection can be mapped
+    const filter = {
+      diseaseDetected: { $ne: null },
+      ...buildDetectionFilter(req.query),
+      ...buildSpatialFilter(req.query)
+    };
+
+    const [uploads, recommendations] = await Promise.all([
+      UploadHistory.find(filter)
+        .sort({ uploadedAt: -1 })
+        .limit(limit)
+        .select('filename location diseaseDetected prediction confidence uploadedAt detectionAt capture mission derivatives')
+        .lean(),
+      Recommendation.find({}, 'diseaseKey displayName severity').lean()
+    ]);
+
+    const recommendationMap = new Map(recommendations.map((rec) => [rec.diseaseKey, rec]));
+
+    res.type('application/geo+json').json({
+      type: 'FeatureCollection',
+      features: uploads.map((upload) => toFeature(upload, recommendationMap)),
+      metadata: {
+        count: uploads.length,
+        limit,
+        truncated: uploads.length === limit,
+        generatedAt: new Date().toISOString()
+      }
+    });
+  })
+);
+
+export default router;
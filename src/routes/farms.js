@@ -0,0 +1,271 @@
+// FILE: server/src/routes/farms.js
+import express from 'express';
+import { Farm } from '../models/Farm.js';
+import { Field } from '../models/Field.js';
+import { WeatherObservation } from '../models/WeatherObservation.js';
+import {
+  parseWeatherFile,
+  importWeatherObservations,
+  fetchFarmWeather,
+  startOfUtcDay
+} from '../services/weatherService.js';
+import { computeDiseaseRisk } from '../services/diseaseRisk.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { weatherUpload } from '../middleware/upload.js';
+import {
+  validateObjectIdParam,
+  validateFarm,
+  validateFarmUpdate,
+  validateField,
+  validateWeatherQuery,
+  validateWeatherObservations,
+  validateWeatherFetch,
+  validateRiskQuery,
+  handleValidationErrors
+} from '../middleware/validation.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+// List farms, optionally by owner or region
+router.get('/', asyncHandler(async (req, res) => {
+  const { owner, region, limit = 50, offset = 0 } = req.query;
+
+  const filter = {};
+  if (owner) filter['owner.name'] = String(owner);
+  if (region) filter.region = String(region);
+
+  const [farms, total] = await Promise.all([
+    Farm.find(filter)
+      .sort({ name: 1 })
+      .skip(parseInt(offset) || 0)
+      .limit(Math.min(parseInt(limit) || 50, 200)),
+    Farm.countDocuments(filter)
+  ]);
+
+  res.json({
+    success: true,
+    count: farms.length,
+    total,
+    data: farms
+  });
+}));
+
+// Register a farm
+router.post('/',
+  validateFarm,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { name, owner, region, boundary, channels, notes } = req.body;
+
+    const farm = await Farm.create({
+      name,
+      owner: { name: owner.name, contact: owner.contact },
+      region,
+      boundary: boundary || undefined,
+      channels,
+      notes
+    });
+
+    logger.info('Farm registered', { farmId: farm._id, owner: farm.owner.name });
+
+    res.status(201).json({
+      success: true,
+      data: farm
+    });
+  })
+);
+
+// Get a single farm
+router.get('/:id',
+  validateObjectIdParam('id'),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const farm = await Farm.findById(req.params.id);
+
+    if (!farm) {
+      return res.status(404).json({ error: 'Farm not found' });
+    }
+
+    res.json({
+      success: true,
+      data: farm
+    });
+  })
+);
+
+// Update farm details
+router.patch('/:id',
+  validateObjectIdParam('id'),
+  validateFarmUpdate,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const farm = await Farm.findById(req.params.id);
+
+    if (!farm) {
+      return res.status(404).json({ error: 'Farm not found' });
+    }
+
+    for (const key of ['name', 'region', 'channels', 'notes']) {
+      if (req.body[key] !== undefined) {
+        farm[key] = req.body[key];
+      }
+    }
+    for (const key of ['name', 'contact']) {
+      if (req.body.owner?.[key] !== undefined) {
+        farm.owner[key] = req.body.owner[key];
+      }
+    }
+    if (req.body.boundary !== undefined) {
+      farm.boundary = req.body.boundary || undefined;
+    }
+    await farm.save();
+
+    res.json({
+      success: true,
+      data: farm
+    });
+  })
+);
+
+// List the fields/blocks of a farm
+router.get('/:id/fields',
+  validateObjectIdParam('id'),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const fields = await Field.find({ farm: req.params.id }).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      count: fields.length,
+      data: fields
+    });
+  })
+);
+
+// Register a field/block on a farm
+router.post('/:id/fields',
+  validateObjectIdParam('id'),
+  validateField,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const farm = await Farm.findById(req.params.id);
+
+    if (!farm) {
+      return res.status(404).json({ error: 'Farm not found' });
+    }
+
+    const { name, code, boundary, variety, plantingDate, notes } = req.body;
+
+    const field = await Field.create({
+      farm: farm._id,
+      name,
+      code,
+      boundary: boundary || undefined,
+      variety,
+      plantingDate,
+      notes
+    });
+
+    logger.info('Field registered', { farmId: farm._id, fieldId: field._id });
+
+    res.status(201).json({
+      success: true,
+      data: field
+    });
+  })
+);
+
+// Daily weather on record for a farm
+router.get('/:id/weather',
+  validateObjectIdParam('id'),
+  validateWeatherQuery,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const farm = await Farm.findById(req.params.id);
+
+    if (!farm) {
+      return res.status(404).json({ error: 'Farm not found' });
+    }
+
+    const filter = { farm: farm._id };
+    if (req.query.from || req.query.to) {
+      filter.date = {};
+      if (req.query.from) filter.date.$gte = startOfUtcDay(req.query.from);
+      if (req.query.to) filter.date.$lte = startOfUtcDay(req.query.to);
+    }
+
+    const observations = await WeatherObservation.find(filter).sort({ date: 1 }).limit(1000);
+
+    res.json({
+      success: true,
+      count: observations.length,
+      data: observations
+    });
+  })
+);
+
+// Import weather observations from a CSV/JSON file ("file") or a JSON body { observations: [...] }
+router.post('/:id/weather',
+  weatherUpload.single('file'),
+  validateObjectIdParam('id'),
+  validateWeatherObservations,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const farm = await Farm.findById(req.params.id);
+
+    if (!farm) {
+      return res.status(404).json({ error: 'Farm not found' });
+    }
+
+    const rows = req.file ? parseWeatherFile(req.file) : req.body.observations;
+    if (!rows) {
+      return res.status(400).json({ error: 'No weather file or observations provided' });
+    }
+
+    res.json({
+      success: true,
+      data: await importWeatherObservations(farm, rows)
+    });
+  })
+);
+
+// Pull daily weather for the farm from the configured weather provider
+router.post('/:id/weather/fetch',
+  validateObjectIdParam('id'),
+  validateWeatherFetch,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const farm = await Farm.findById(req.params.id);
+
+    if (!farm) {
+      return res.status(404).json({ error: 'Farm not found' });
+    }
+
+    res.json({
+      success: true,
+      data: await fetchFarmWeather(farm, req.body)
+    });
+  })
+);
+
+// Daily weather-based risk score per disease
+router.get('/:id/risk',
+  validateObjectIdParam('id'),
+  validateRiskQuery,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const farm = await Farm.findById(req.params.id);
+
+    if (!farm) {
+      return res.status(404).json({ error: 'Farm not found' });
+    }
+
+    res.json({
+      success: true,
+      data: await computeDiseaseRisk(farm, req.query)
+    });
+  })
+);
+
+export default router;
@@ -0,0 +1,206 @@
+// FILE: server/src/routes/fields.js
+import express from 'express';
+import { Field } from '../models/Field.js';
+import { Tree } from '../models/Tree.js';
+import { UploadHistory } from '../models/UploadHistory.js';
+import { TreatmentAction } from '../models/TreatmentAction.js';
+import { assignUploadsToField } from '../services/placement.js';
+import { buildProgressionTimeline } from '../services/progression.js';
+import { buildTreatmentFilter } from '../services/treatmentLog.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import {
+  validateObjectIdParam,
+  validateFieldUpdate,
+  validateTree,
+  validateTimelineQuery,
+  validateTreatmentQuery,
+  handleValidationErrors
+} from '../middleware/validation.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+// Get a single field
+router.get('/:id',
+  validateObjectIdParam('id'),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const field = await Field.findById(req.params.id);
+
+    if (!field) {
+      return res.status(404).json({ error: 'Field not found' });
+    }
+
+    res.json({
+      success: true,
+      data: field
+    });
+  })
+);
+
+// Update field details or redraw its boundary
+router.patch('/:id',
+  validateObjectIdParam('id'),
+  validateFieldUpdate,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const field = await Field.findById(req.params.id);
+
+    if (!field) {
+      return res.status(404).json({ error: 'Field not found' });
+    }
+
+    for (const key of ['name', 'code', 'variety', 'plantingDate', 'notes']) {
+      if (req.body[key] !== undefined) {
+        field[key] = req.body[key];
+      }
+    }
+    if (req.body.boundary !== undefined) {
+      field.boundary = req.body.boundary || undefined;
+    }
+    await field.save();
+
+    res.json({
+      success: true,
+      data: field
+    });
+  })
+);
+
+// List the trees registered in a field
+router.get('/:id/trees',
+  validateObjectIdParam('id'),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const trees = await Tree.find({ field: req.params.id }).sort({ code: 1 });
+
+    res.json({
+      success: true,
+      count: trees.length,
+      data: trees
+    });
+  })
+);
+
+// Register a tree in a field
+router.post('/:id/trees',
+  validateObjectIdParam('id'),
+  validateTree,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const field = await Field.findById(req.params.id);
+
+    if (!field) {
+      return res.status(404).json({ error: 'Field not found' });
+    }
+
+    const { code, location, variety, plantingDate, notes } = req.body;
+
+    const tree = await Tree.create({
+      field: field._id,
+      farm: field.farm,
+      code,
+      location: location || undefined,
+      // Trees default to the variety and planting date of their block
+      variety: variety ?? field.variety,
+      plantingDate: plantingDate ?? field.plantingDate,
+      notes
+    });
+
+    logger.info('Tree registered', { fieldId: field._id, treeId: tree._id, code });
+
+    res.status(201).json({
+      success: true,
+      data: tree
+    });
+  })
+);
+
+// List uploads placed in a field, most recent first
+router.get('/:id/uploads',
+  validateObjectIdParam('id'),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { limit = 100, offset = 0 } = req.query;
+
+    const uploads = await UploadHistory.find({ field: req.params.id })
+      .sort({ uploadedAt: -1 })
+      .skip(parseInt(offset) || 0)
+      .limit(Math.min(parseInt(limit) || 100, 500))
+      .select('filename originalName uploadedAt diseaseDetected prediction confidence detectionAt location capture.capturedAt derivatives tree placementSource');
+
+    res.json({
+      success: true,
+      count: uploads.length,
+      data: uploads
+    });
+  })
+);
+
+// Assign existing unplaced uploads whose GPS point falls inside the field boundary
+router.post('/:id/assign-uploads',
+  validateObjectIdParam('id'),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const field = await Field.findById(req.params.id);
+
+    if (!field) {
+      return res.status(404).json({ error: 'Field not found' });
+    }
+
+    res.json({
+      success: true,
+      data: await assignUploadsToField(field)
+    });
+  })
+);
+
+// Disease progression over repeated scans, with trend and high-priority transitions
+router.get('/:id/timeline',
+  validateObjectIdParam('id'),
+  validateTimelineQuery,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const field = await Field.findById(req.params.id);
+
+    if (!field) {
+      return res.status(404).json({ error: 'Field not found' });
+    }
+
+    const timeline = await buildProgressionTimeline({ field: field._id }, req.query);
+
+    res.json({
+      success: true,
+      data: {
+        field: { id: field._id, name: field.name, farm: field.farm },
+        ...timeline
+      }
+    });
+  })
+);
+
+// Treatment history for a field, so the timeline can be read alongside what was sprayed
+router.get('/:id/treatments',
+  validateObjectIdParam('id'),
+  validateTreatmentQuery,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const field = await Field.findById(req.params.id);
+
+    if (!field) {
+      return res.status(404).json({ error: 'Field not found' });
+    }
+
+    const actions = await TreatmentAction.find(buildTreatmentFilter({ ...req.query, field: field._id }))
+      .sort({ performedAt: -1 })
+      .limit(parseInt(req.query.limit) || 100);
+
+    res.json({
+      success: true,
+      count: actions.length,
+      data: actions
+    });
+  })
+);
+
+export default router;
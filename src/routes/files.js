@@ -0,0 +1,84 @@
+// FILE: server/src/routes/files.js
+import express from 'express';
+import { pipeline } from 'stream/promises';
+import { UploadHistory } from '../models/UploadHistory.js';
+import {
+  getDefaultStorage,
+  getStorageForRecord,
+  getContentType,
+  isValidKey,
+  StorageNotFoundError
+} from '../services/storage/index.js';
+import { DERIVATIVE_SIZES } from '../services/imageDerivatives.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { logger } from '../utils/logger.js';
+
+// Serves stored uploads from whichever storage backend is configured
+const router = express.Router();
+
+const publicBaseUrl = process.env.STORAGE_PUBLIC_URL
+  ? process.env.STORAGE_PUBLIC_URL.replace(/\/+$/, '')
+  : null;
+
+// Uploads remember the backend holding their files, so records not yet migrated after a
+// STORAGE_DRIVER switch are still served; keys without a record fall back to the default
+const findStorageForKey = async (key) => {
+  const uploadRecord = await UploadHistory.findOne({
+    $or: [
+      { filename: key },
+      ...Object.keys(DERIVATIVE_SIZES).map((name) => ({ [`derivatives.${name}.filename`]: key }))
+    ]
+  }, 'storageDriver');
+
+  return uploadRecord ? getStorageForRecord(uploadRecord) : getDefaultStorage();
+};
+
+router.get('/:key', asyncHandler(async (req, res) => {
+  const { key } = req.params;
+
+  if (!isValidKey(key)) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+
+  // Let a CDN or public bucket serve the bytes when one is configured
+  if (publicBaseUrl) {
+    return res.redirect(302, `${publicBaseUrl}/${encodeURIComponent(key)}`);
+  }
+
+  let object;
+  try {
+    const storage = await findStorageForKey(key);
+    object = await storage.getStream(key);
+  } catch (error) {
+    if (error instanceof StorageNotFoundError) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    throw error;
+  }
+
+  // Stored filenames are unique and never rewritten, so they can be cached indefinitely
+  const contentType = getContentType(key);
+  res.set({
+    'Content-Type': contentType,
+    'Cache-Control': 'public, max-age=31536000, immutable'
+  });
+  // Never render anything that isn't a known image type inline (e.g. legacy .html uploads)
+  if (!contentType.startsWith('image/')) {
+    res.set('Content-Disposition', 'attachment');
+  }
+  if (object.size !== undefined) res.set('Content-Length', String(object.size));
+  if (object.lastModified) res.set('Last-Modified', new Date(object.lastModified).toUTCString());
+
+  if (req.method === 'HEAD') {
+    object.stream.destroy?.();
+    return res.end();
+  }
+
+  try {
+    await pipeline(object.stream, res);
+  } catch (error) {
+    logger.warn('Stored file stream interrupted', { key, error: error.message });
+  }
+}));
+
+export default router;
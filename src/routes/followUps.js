@@ -0,0 +1,82 @@
+// FILE: server/src/routes/followUps.js
+import express from 'express';
+import { FollowUpTask } from '../models/FollowUpTask.js';
+import { cancelFollowUp } from '../services/followUps.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import {
+  validateObjectIdParam,
+  validateFollowUpQuery,
+  validateFollowUpCancel,
+  handleValidationErrors
+} from '../middleware/validation.js';
+
+const router = express.Router();
+
+// List follow-ups, soonest due first
+router.get('/',
+  validateFollowUpQuery,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { status, field, tree, diseaseKey, dueBefore } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (field) filter.field = field;
+    if (tree) filter.tree = tree;
+    if (diseaseKey) filter.diseaseKey = diseaseKey;
+    if (dueBefore) filter.dueAt = { $lte: new Date(dueBefore) };
+
+    const [followUps, total] = await Promise.all([
+      FollowUpTask.find(filter)
+        .sort({ dueAt: 1 })
+        .limit(parseInt(req.query.limit) || 100),
+      FollowUpTask.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      count: followUps.length,
+      total,
+      data: followUps
+    });
+  })
+);
+
+// Get a single follow-up
+router.get('/:id',
+  validateObjectIdParam('id'),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const followUp = await FollowUpTask.findById(req.params.id);
+
+    if (!followUp) {
+      return res.status(404).json({ error: 'Follow-up not found' });
+    }
+
+    res.json({
+      success: true,
+      data: followUp
+    });
+  })
+);
+
+// Close a follow-up without a re-scan
+router.post('/:id/cancel',
+  validateObjectIdParam('id'),
+  validateFollowUpCancel,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const followUp = await FollowUpTask.findById(req.params.id);
+
+    if (!followUp) {
+      return res.status(404).json({ error: 'Follow-up not found' });
+    }
+
+    res.json({
+      success: true,
+      data: await cancelFollowUp(followUp, req.body)
+    });
+  })
+);
+
+export default router;
@@ -1,6 +1,8 @@
 // FILE: server/src/routes/health.js
 import express from 'express';
 import { llmAdapter } from '../services/llmAdapter.js';
+import { diseaseClassifier } from '../services/diseaseClassifier.js';
+import { getDefaultStorage } from '../services/storage/index.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 
 const router = express.Router();
@@ -45,6 +47,24 @@ router.get('/', asyncHandler(async (req, res) => {
     };
   }
 
+  // Server-side classifier is optional and does not affect overall status
+  healthCheck.classifier = {
+    status: diseaseClassifier.isEnabled()
+      ? (diseaseClassifier.session ? 'loaded' : 'configured')
+      : 'disabled',
+    model: diseaseClassifier.modelName
+  };
+
+  // Storage backend for uploaded images
+  try {
+    healthCheck.storage = { driver: getDefaultStorage().name };
+  } catch (error) {
+    healthCheck.storage = {
+      status: 'error',
+      error: error.message
+    };
+  }
+
   // Overall health status
   const isHealthy = healthCheck.database.status === 'connected' && 
                    healthCheck.llm.status === 'available';
@@ -0,0 +1,185 @@
+// FILE: server/src/routes/missions.js
+import express from 'express';
+import mongoose from 'mongoose';
+import { Mission } from '../models/Mission.js';
+import { UploadHistory } from '../models/UploadHistory.js';
+import { recordUploads, summarizeResults, discardUploadedFile } from '../services/uploadService.js';
+import { resolvePlacement } from '../services/placement.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { batchUpload, MAX_BATCH_FILES } from '../middleware/upload.js';
+import {
+  validateObjectIdParam,
+  validateMission,
+  validateMissionUpdate,
+  handleValidationErrors
+} from '../middleware/validation.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+// List missions, most recent first
+router.get('/', asyncHandler(async (req, res) => {
+  const { droneId, operator, limit = 20, offset = 0 } = req.query;
+
+  const filter = {};
+  if (droneId) filter.droneId = String(droneId);
+  if (operator) filter.operator = String(operator);
+
+  const [missions, total] = await Promise.all([
+    Mission.find(filter)
+      .sort({ startTime: -1 })
+      .skip(parseInt(offset) || 0)
+      .limit(Math.min(parseInt(limit) || 20, 100)),
+    Mission.countDocuments(filter)
+  ]);
+
+  res.json({
+    success: true,
+    count: missions.length,
+    total,
+    data: missions
+  });
+}));
+
+// Create a mission before (or while) flying
+router.post('/',
+  validateMission,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { droneId, operator, field, startTime, endTime, notes } = req.body;
+
+    const mission = await Mission.create({ droneId, operator, field, startTime, endTime, notes });
+
+    logger.info('Mission created', { missionId: mission._id, droneId });
+
+    res.status(201).json({
+      success: true,
+      data: mission
+    });
+  })
+);
+
+// Get a single mission
+router.get('/:id',
+  validateObjectIdParam('id'),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const mission = await Mission.findById(req.params.id);
+
+    if (!mission) {
+      return res.status(404).json({ error: 'Mission not found' });
+    }
+
+    res.json({
+      success: true,
+      data: mission
+    });
+  })
+);
+
+// Update mission details, e.g. set the end time once the flight lands
+router.patch('/:id',
+  validateObjectIdParam('id'),
+  validateMissionUpdate,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const mission = await Mission.findById(req.params.id);
+
+    if (!mission) {
+      return res.status(404).json({ error: 'Mission not found' });
+    }
+
+    for (const key of ['operator', 'field', 'startTime', 'endTime', 'notes']) {
+      if (req.body[key] !== undefined) {
+        mission[key] = req.body[key];
+      }
+    }
+    await mission.save();
+
+    res.json({
+      success: true,
+      data: mission
+    });
+  })
+);
+
+// Upload one or more images captured during the mission
+router.post('/:id/uploads',
+  batchUpload.array('images', MAX_BATCH_FILES),
+  asyncHandler(async (req, res) => {
+    const files = req.files || [];
+    const mission = mongoose.isValidObjectId(req.params.id) && await Mission.findById(req.params.id);
+
+    if (!mission) {
+      await Promise.all(files.map(discardUploadedFile));
+      return res.status(404).json({ error: 'Mission not found' });
+    }
+
+    const rejected = (req.rejectedFiles || []).map((file) => ({ ...file, success: false }));
+    if (files.length === 0 && rejected.length === 0) {
+      return res.status(400).json({ error: 'No image files provided' });
+    }
+
+    let placement;
+    try {
+      placement = await resolvePlacement(req.body);
+    } catch (error) {
+      await Promise.all(files.map(discardUploadedFile));
+      throw error;
+    }
+
+    const results = [
+      ...await recordUploads(files, { mission: mission._id, ...placement }),
+      ...rejected
+    ];
+
+    logger.info('Mission images uploaded', { missionId: mission._id, ...summarizeResults(results) });
+
+    res.json({
+      success: true,
+      summary: summarizeResults(results),
+      data: results
+    });
+  })
+);
+
+// List the images attached to a mission in capture order
+router.get('/:id/uploads',
+  validateObjectIdParam('id'),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { limit = 100, offset = 0 } = req.query;
+
+    const uploads = await UploadHistory.find({ mission: req.params.id })
+      .sort({ uploadedAt: 1 })
+      .skip(parseInt(offset) || 0)
+      .limit(Math.min(parseInt(limit) || 100, 500))
+      .select('filename originalName uploadedAt diseaseDetected prediction confidence detectionSource location capture.capturedAt derivatives');
+
+    res.json({
+      success: true,
+      count: uploads.length,
+      data: uploads
+    });
+  })
+);
+
+// Per-class detection counts and worst severity for the mission
+router.get('/:id/summary',
+  validateObjectIdParam('id'),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const mission = await Mission.findById(req.params.id);
+
+    if (!mission) {
+      return res.status(404).json({ error: 'Mission not found' });
+    }
+
+    res.json({
+      success: true,
+      data: await mission.getSummary()
+    });
+  })
+);
+
+export default router;
@@ -1,55 +1,54 @@
 // FILE: server/src/routes/recommendations.js
 import express from 'express';
-import multer from 'multer';
-import path from 'path';
-import fs from 'fs';
+import mongoose from 'mongoose';
 import { Recommendation } from '../models/Recommendation.js';
 import { UploadHistory } from '../models/UploadHistory.js';
 import { llmAdapter } from '../services/llmAdapter.js';
+import { diseaseClassifier } from '../services/diseaseClassifier.js';
+import {
+  recordUpload,
+  recordUploads,
+  discardUploadedFile,
+  formatUploadResponse,
+  summarizeResults,
+  runServerDetection,
+  buildDetectionFields,
+  processDetectionSideEffects,
+  deleteUpload
+} from '../services/uploadService.js';
+import { extractImagesFromZip } from '../services/archiveIngest.js';
+import { resolvePlacement } from '../services/placement.js';
+import { getRiskContext } from '../services/diseaseRisk.js';
+import { formatQuality, getQualityPolicy } from '../services/imageQuality.js';
+import { isAdviceReleased, AWAITING_REVIEW_MESSAGE } from '../services/reviewService.js';
+import { Mission } from '../models/Mission.js';
+import { Farm } from '../models/Farm.js';
 import { seedDatabase } from '../services/seedData.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
+import { upload, batchUpload, archiveUpload, MAX_BATCH_FILES } from '../middleware/upload.js';
 import { 
   validateDiseaseKey, 
   validateLLMRecommendation,
   validateRecommendationSeed,
+  validateUploadHistoryQuery,
+  validateObjectIdParam,
+  validateDetectionUpdate,
+  validateUploadPlacement,
+  validateRiskRules,
   handleValidationErrors 
 } from '../middleware/validation.js';
+import { buildDetectionFilter } from '../services/uploadFilters.js';
+import { encodeCursor, decodeCursor, parseSort, buildCursorFilter } from '../services/pagination.js';
 import { llmLimiter } from '../middleware/security.js';
 import { logger } from '../utils/logger.js';
 
-// Create uploads directory if it doesn't exist
-const uploadsDir = path.join(process.cwd(), 'uploads');
-if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir, { recursive: true });
-}
-
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, uploadsDir);
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
-  }
-});
-
-const upload = multer({
-  storage: storage,
-  limits: {
-    fileSize: 10 * 1024 * 1024, // 10MB limit
-  },
-  fileFilter: (req, file, cb) => {
-    if (file.mimetype.startsWith('image/')) {
-      cb(null, true);
-    } else {
-      cb(new Error('Only image files are allowed'), false);
-    }
-  }
-});
-
 const router = express.Router();
 
+// Resolve the optional missionId sent along with an upload
+const findUploadMission = async (missionId) => (
+  mongoose.isValidObjectId(missionId) ? Mission.findById(missionId) : null
+);
+
 // Upload image for disease detection
 router.post('/upload', upload.single('image'), asyncHandler(async (req, res) => {
   try {
@@ -59,26 +58,35 @@ router.post('/upload', upload.single('image'), asyncHandler(async (req, res) =>
       });
     }
 
-    const uploadRecord = new UploadHistory({
-      filename: req.file.filename,
-      originalName: req.file.originalname,
-      path: req.file.path,
-      size: req.file.size,
-      mimetype: req.file.mimetype,
-      uploadedAt: new Date()
-    });
+    // Optionally attach the image to a drone mission
+    const { missionId } = req.body;
+    if (missionId) {
+      const mission = await findUploadMission(missionId);
+      if (!mission) {
+        await discardUploadedFile(req.file);
+        return res.status(404).json({
+          error: 'Mission not found'
+        });
+      }
+    }
 
-    await uploadRecord.save();
+    // Optionally place the image in a registered field or on a tree
+    let placement;
+    try {
+      placement = await resolvePlacement(req.body);
+    } catch (error) {
+      await discardUploadedFile(req.file);
+      throw error;
+    }
+
+    const uploadRecord = await recordUpload(req.file, {
+      mission: missionId || null,
+      ...placement
+    });
 
     res.json({
       success: true,
-      data: {
-        id: uploadRecord._id,
-        filename: req.file.filename,
-        originalName: req.file.originalname,
-        url: `/uploads/${req.file.filename}`,
-        uploadedAt: uploadRecord.uploadedAt
-      }
+      data: formatUploadResponse(uploadRecord)
     });
 
   } catch (error) {
@@ -87,40 +95,299 @@ router.post('/upload', upload.single('image'), asyncHandler(async (req, res) =>
   }
 }));
 
-// Get upload history
-router.get('/uploads', asyncHandler(async (req, res) => {
-  try {
-    const uploads = await UploadHistory.find()
-      .sort({ uploadedAt: -1 })
-      .limit(50)
-      .select('filename originalName uploadedAt diseaseDetected prediction confidence');
+// Upload many images in one request and report the outcome per file
+router.post('/upload/batch', batchUpload.array('images', MAX_BATCH_FILES), asyncHandler(async (req, res) => {
+  const files = req.files || [];
+  const rejected = (req.rejectedFiles || []).map((file) => ({ ...file, success: false }));
 
-    res.json({
-      success: true,
-      data: uploads
+  if (files.length === 0 && rejected.length === 0) {
+    return res.status(400).json({
+      error: 'No image files provided'
+    });
+  }
+
+  const { missionId } = req.body;
+  const mission = missionId ? await findUploadMission(missionId) : null;
+  if (missionId && !mission) {
+    await Promise.all(files.map(discardUploadedFile));
+    return res.status(404).json({
+      error: 'Mission not found'
     });
+  }
+
+  let placement;
+  try {
+    placement = await resolvePlacement(req.body);
   } catch (error) {
-    logger.error('Error fetching upload history:', error);
+    await Promise.all(files.map(discardUploadedFile));
     throw error;
   }
+
+  const results = [
+    ...await recordUploads(files, { mission: mission?._id || null, ...placement }),
+    ...rejected
+  ];
+
+  logger.info('Batch upload processed', { ...summarizeResults(results), missionId: mission?._id });
+
+  res.json({
+    success: true,
+    summary: summarizeResults(results),
+    data: results
+  });
 }));
 
-// Update upload with disease detection results
-router.patch('/uploads/:id', asyncHandler(async (req, res) => {
+// Ingest a ZIP archive of images, e.g. a drone SD card dump
+router.post('/upload/zip', archiveUpload.single('archive'), asyncHandler(async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({
+      error: 'No ZIP archive provided'
+    });
+  }
+
   try {
-    const { id } = req.params;
-    const { diseaseDetected, prediction, confidence } = req.body;
+    const { missionId } = req.body;
+    const mission = missionId ? await findUploadMission(missionId) : null;
+    if (missionId && !mission) {
+      return res.status(404).json({
+        error: 'Mission not found'
+      });
+    }
+
+    const placement = await resolvePlacement(req.body);
+
+    let extracted;
+    try {
+      extracted = await extractImagesFromZip(req.file.path);
+    } catch (error) {
+      logger.warn('Invalid ZIP archive uploaded', { error: error.message });
+      return res.status(400).json({
+        error: 'Invalid ZIP archive',
+        message: error.message
+      });
+    }
+
+    const results = [
+      ...await recordUploads(extracted.files, { mission: mission?._id || null, ...placement }),
+      ...extracted.rejected.map((entry) => ({ ...entry, success: false }))
+    ];
+
+    logger.info('ZIP archive ingested', { ...summarizeResults(results), missionId: mission?._id });
+
+    res.json({
+      success: true,
+      summary: summarizeResults(results),
+      data: results
+    });
+  } finally {
+    await discardUploadedFile(req.file);
+  }
+}));
+
+// Get upload history with filters, sorting and cursor pagination
+router.get('/uploads',
+  validateUploadHistoryQuery,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    try {
+      const limit = parseInt(req.query.limit) || 50;
+      const sort = parseSort(req.query.sort, '-uploadedAt');
+      const filter = buildDetectionFilter(req.query);
+
+      let cursorFilter = {};
+      if (req.query.cursor) {
+        const cursor = decodeCursor(req.query.cursor, { isDate: sort.field !== 'confidence' });
+        if (!cursor || !mongoose.isValidObjectId(cursor.id)) {
+          return res.status(400).json({
+            error: 'Invalid cursor'
+          });
+        }
+        cursorFilter = buildCursorFilter(sort, cursor, {
+          isDate: sort.field !== 'confidence',
+          toId: (id) => new mongoose.Types.ObjectId(id)
+        });
+      }
+
+      // Fetch one extra record to know whether another page exists
+      const [uploads, total] = await Promise.all([
+        UploadHistory.find({ $and: [filter, cursorFilter] })
+          .sort({ [sort.field]: sort.direction, _id: sort.direction })
+          .limit(limit + 1)
+          .select('filename originalName uploadedAt diseaseDetected prediction confidence detectionAt detectionSource location capture.capturedAt derivatives mission farm field tree review.status review.verifiedLabel quality.status quality.issues'),
+        UploadHistory.countDocuments(filter)
+      ]);
+
+      const hasMore = uploads.length > limit;
+      const page = hasMore ? uploads.slice(0, limit) : uploads;
+
+      res.json({
+        success: true,
+        data: page,
+        pagination: {
+          limit,
+          total,
+          hasMore,
+          nextCursor: hasMore ? encodeCursor(page[page.length - 1], sort.field) : null,
+          sort: req.query.sort || '-uploadedAt'
+        }
+      });
+    } catch (error) {
+      logger.error('Error fetching upload history:', error);
+      throw error;
+    }
+  })
+);
+
+// Run server-side disease detection on an existing upload
+router.post('/uploads/:id/detect',
+  validateObjectIdParam('id'),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    if (!diseaseClassifier.isEnabled()) {
+      return res.status(503).json({
+        error: 'Server-side detection is not configured'
+      });
+    }
+
+    const upload = await UploadHistory.findById(req.params.id);
+
+    if (!upload) {
+      return res.status(404).json({
+        error: 'Upload record not found'
+      });
+    }
+
+    // Re-running the model would detach the reviewed prediction from its classifier version
+    if (upload.review?.status && upload.review.status !== 'pending') {
+      return res.status(409).json({
+        error: 'Detection has already been reviewed'
+      });
+    }
+
+    // Only a rejecting quality gate keeps detections off poor images; in "flag" mode they are
+    // recorded and the response carries the quality warning
+    if (upload.quality?.status === 'flagged' && getQualityPolicy().mode === 'reject') {
+      return res.status(422).json({
+        error: 'Image was flagged by the quality gate and cannot be classified',
+        quality: formatQuality(upload.quality)
+      });
+    }
+
+    try {
+      await runServerDetection(upload);
+    } catch (error) {
+      logger.error('Server-side detection failed', {
+        uploadId: upload._id,
+        error: error.message
+      });
+      return res.status(503).json({
+        error: 'Disease detection failed',
+        message: error.message
+      });
+    }
+
+    const { alerts, followUp } = await processDetectionSideEffects(upload);
+
+    res.json({
+      success: true,
+      data: upload,
+      alerts: alerts.map((alert) => alert._id),
+      followUp: followUp?._id || null,
+      quality: formatQuality(upload.quality)
+    });
+  })
+);
 
-    const upload = await UploadHistory.findByIdAndUpdate(
-      id,
-      {
+// Update upload with disease detection results
+router.patch('/uploads/:id',
+  validateObjectIdParam('id'),
+  validateDetectionUpdate,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    try {
+      const { id } = req.params;
+      const {
         diseaseDetected,
         prediction,
         confidence,
-        detectionAt: new Date()
-      },
-      { new: true }
-    );
+        probabilities,
+        model = {},
+        inferenceTimeMs
+      } = req.body;
+
+      const upload = await UploadHistory.findById(id);
+
+      if (!upload) {
+        return res.status(404).json({
+          error: 'Upload record not found'
+        });
+      }
+
+      // With a model configured the server result is authoritative, even when its inference failed
+      if (diseaseClassifier.isEnabled()) {
+        return res.status(409).json({
+          error: 'Detection is run by the server; use POST /uploads/:id/detect instead'
+        });
+      }
+
+      // Client-reported results must not overwrite a server-side detection
+      if (upload.detectionSource === 'server') {
+        return res.status(409).json({
+          error: 'Detection already recorded by the server'
+        });
+      }
+
+      // Once an expert has signed off, the detection they reviewed is kept as is
+      if (upload.review?.status && upload.review.status !== 'pending') {
+        return res.status(409).json({
+          error: 'Detection has already been reviewed'
+        });
+      }
+
+      // Only a rejecting quality gate keeps detections off poor images; in "flag" mode they are
+      // recorded and the response carries the quality warning
+      if (upload.quality?.status === 'flagged' && getQualityPolicy().mode === 'reject') {
+        return res.status(422).json({
+          error: 'Image was flagged by the quality gate and cannot be classified',
+          quality: formatQuality(upload.quality)
+        });
+      }
+
+      upload.set(buildDetectionFields({
+        diseaseKey: diseaseDetected,
+        label: prediction,
+        confidence,
+        probabilities,
+        model: model.name,
+        modelVersion: model.version,
+        runtime: model.runtime,
+        inferenceTimeMs
+      }, 'client'));
+      await upload.save();
+
+      const { alerts, followUp } = await processDetectionSideEffects(upload);
+
+      res.json({
+        success: true,
+        data: upload,
+        alerts: alerts.map((alert) => alert._id),
+        followUp: followUp?._id || null,
+        quality: formatQuality(upload.quality)
+      });
+    } catch (error) {
+      logger.error('Error updating upload record:', error);
+      throw error;
+    }
+  })
+);
+
+// Place an upload in a registered field or on a tree; send nulls to clear the placement
+router.put('/uploads/:id/placement',
+  validateObjectIdParam('id'),
+  validateUploadPlacement,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const upload = await UploadHistory.findById(req.params.id);
 
     if (!upload) {
       return res.status(404).json({
@@ -128,15 +395,45 @@ router.patch('/uploads/:id', asyncHandler(async (req, res) => {
       });
     }
 
+    const placement = await resolvePlacement(req.body);
+    upload.set({
+      farm: null,
+      field: null,
+      tree: null,
+      placementSource: null,
+      ...placement
+    });
+    await upload.save();
+
     res.json({
       success: true,
-      data: upload
+      data: formatUploadResponse(upload)
     });
-  } catch (error) {
-    logger.error('Error updating upload record:', error);
-    throw error;
-  }
-}));
+  })
+);
+
+// Delete an upload and its stored files
+router.delete('/uploads/:id',
+  validateObjectIdParam('id'),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const upload = await UploadHistory.findById(req.params.id);
+
+    if (!upload) {
+      return res.status(404).json({
+        error: 'Upload record not found'
+      });
+    }
+
+    await deleteUpload(upload);
+
+    res.json({
+      success: true,
+      message: 'Upload deleted',
+      id: upload._id
+    });
+  })
+);
 
 // Get recommendation by disease key
 router.get('/:diseaseKey', 
@@ -171,15 +468,79 @@ router.get('/:diseaseKey',
   })
 );
 
+// Replace the weather rules behind a disease's daily risk score
+router.put('/:diseaseKey/risk-rules',
+  validateDiseaseKey,
+  validateRiskRules,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const normalizedKey = Recommendation.normalizeKey(req.params.diseaseKey);
+    const recommendation = await Recommendation.findOne({ diseaseKey: normalizedKey });
+
+    if (!recommendation) {
+      return res.status(404).json({
+        error: 'Recommendation not found',
+        diseaseKey: normalizedKey
+      });
+    }
+
+    recommendation.riskRules = req.body.riskRules;
+    await recommendation.save();
+
+    logger.info('Risk rules updated', { diseaseKey: normalizedKey, rules: recommendation.riskRules.length });
+
+    res.json({
+      success: true,
+      data: {
+        diseaseKey: recommendation.diseaseKey,
+        riskRules: recommendation.riskRules
+      }
+    });
+  })
+);
+
 // Generate AI-enhanced recommendation
 router.post('/generate',
   llmLimiter,
   validateLLMRecommendation,
   handleValidationErrors,
   asyncHandler(async (req, res) => {
-    const { diseaseKey, context = {}, enhanceExisting = true } = req.body;
-    
-    const normalizedKey = Recommendation.normalizeKey(diseaseKey);
+    const { diseaseKey, context: userContext, severity, farmId, uploadId, enhanceExisting = true } = req.body;
+    const context = { userContext, severity };
+
+    let normalizedKey = Recommendation.normalizeKey(diseaseKey);
+
+    // Advice for a specific detection waits for expert sign-off and follows the verified label
+    if (uploadId) {
+      const upload = await UploadHistory.findById(uploadId, 'diseaseDetected review');
+      if (!upload) {
+        return res.status(404).json({
+          error: 'Upload record not found'
+        });
+      }
+      if (!isAdviceReleased(upload)) {
+        return res.status(409).json({
+          error: AWAITING_REVIEW_MESSAGE,
+          message: 'Treatment advice is released once an expert has reviewed this detection',
+          reviewStatus: upload.review?.status || 'pending'
+        });
+      }
+      if (upload.review?.status === 'reviewed' && upload.review.verifiedLabel) {
+        normalizedKey = upload.review.verifiedLabel;
+      }
+    }
+
+    // Current weather risk on the farm, so advice reflects conditions in the orchard
+    if (farmId) {
+      const farm = await Farm.findById(farmId);
+      if (!farm) {
+        return res.status(404).json({
+          error: 'Farm not found'
+        });
+      }
+      context.weatherRisk = await getRiskContext(farm, normalizedKey);
+    }
+
     logger.info('Generating AI recommendation', { 
       diseaseKey: normalizedKey, 
       context,
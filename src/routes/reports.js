@@ -0,0 +1,143 @@
+// FILE: server/src/routes/reports.js
+import express from 'express';
+import fs from 'fs';
+import { InspectionReport } from '../models/InspectionReport.js';
+import {
+  createInspectionReport,
+  deleteInspectionReport,
+  getReportPath
+} from '../services/inspectionReports.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import {
+  validateObjectIdParam,
+  validateInspectionReport,
+  handleValidationErrors
+} from '../middleware/validation.js';
+
+const router = express.Router();
+
+// Public URL of a finished report
+const withDownloadUrl = (report) => ({
+  ...report.toJSON(),
+  downloadUrl: report.status === 'completed'
+    ? `/api/reports/${report._id}/download`
+    : null
+});
+
+// List inspection reports, most recent first
+router.get('/', asyncHandler(async (req, res) => {
+  const { status, limit = 20 } = req.query;
+
+  const filter = {};
+  if (status) filter.status = String(status);
+
+  const reports = await InspectionReport.find(filter)
+    .sort({ createdAt: -1 })
+    .limit(Math.min(parseInt(limit) || 20, 100));
+
+  res.json({
+    success: true,
+    count: reports.length,
+    data: reports.map(withDownloadUrl)
+  });
+}));
+
+// Queue a printable inspection report for a set of uploads or a date range
+router.post('/',
+  validateInspectionReport,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { title, uploads, from, to, farmId, fieldId, missionId, requestedBy } = req.body;
+
+    const report = await createInspectionReport({
+      title,
+      uploads,
+      from: from || null,
+      to: to || null,
+      farm: farmId || null,
+      field: fieldId || null,
+      mission: missionId || null,
+      requestedBy: requestedBy || null
+    });
+
+    res.status(202)
+      .location(`/api/reports/${report._id}`)
+      .json({
+        success: true,
+        data: withDownloadUrl(report)
+      });
+  })
+);
+
+// Poll a report's progress
+router.get('/:id',
+  validateObjectIdParam('id'),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const report = await InspectionReport.findById(req.params.id);
+
+    if (!report) {
+      return res.status(404).json({ error: 'Inspection report not found' });
+    }
+
+    res.json({
+      success: true,
+      data: withDownloadUrl(report)
+    });
+  })
+);
+
+// Download a finished report as a print-ready HTML file
+router.get('/:id/download',
+  validateObjectIdParam('id'),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const report = await InspectionReport.findById(req.params.id);
+
+    if (!report) {
+      return res.status(404).json({ error: 'Inspection report not found' });
+    }
+
+    if (report.status !== 'completed') {
+      return res.status(409).json({
+        error: 'Inspection report is not ready',
+        status: report.status
+      });
+    }
+
+    const reportPath = getReportPath(report);
+    if (!fs.existsSync(reportPath)) {
+      return res.status(410).json({ error: 'Inspection report is no longer available' });
+    }
+
+    const date = report.completedAt.toISOString().slice(0, 10);
+    res.download(reportPath, `agridrone-inspection-${date}-${report._id}.html`);
+  })
+);
+
+// Delete a report and its file
+router.delete('/:id',
+  validateObjectIdParam('id'),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const report = await InspectionReport.findById(req.params.id);
+
+    if (!report) {
+      return res.status(404).json({ error: 'Inspection report not found' });
+    }
+
+    if (report.status === 'running') {
+      return res.status(409).json({ error: 'Inspection report is still being generated' });
+    }
+
+    await deleteInspectionReport(report);
+
+    res.json({
+      success: true,
+      message: 'Inspection report deleted',
+      id: report._id
+    });
+  })
+);
+
+export default router;
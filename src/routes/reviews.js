@@ -0,0 +1,169 @@
+// FILE: server/src/routes/reviews.js
+import express from 'express';
+import mongoose from 'mongoose';
+import { UploadHistory } from '../models/UploadHistory.js';
+import {
+  buildReviewQueueFilter,
+  submitReview,
+  disputeReview,
+  formatReview,
+  REVIEW_CONFIDENCE_THRESHOLD,
+  REVIEW_MARGIN_THRESHOLD
+} from '../services/reviewService.js';
+import { computeAccuracyMetrics } from '../services/accuracyMetrics.js';
+import { formatUploadResponse } from '../services/uploadService.js';
+import { buildDetectionFilter } from '../services/uploadFilters.js';
+import { encodeCursor, decodeCursor, parseSort, buildCursorFilter } from '../services/pagination.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import {
+  validateObjectIdParam,
+  validateReviewQueueQuery,
+  validateReviewSubmission,
+  validateReviewDispute,
+  validateAccuracyMetricsQuery,
+  handleValidationErrors
+} from '../middleware/validation.js';
+
+const router = express.Router();
+
+// Shape of an upload in review responses
+const formatReviewItem = (upload) => ({
+  ...formatUploadResponse(upload),
+  review: formatReview(upload)
+});
+
+// Detections waiting for expert review, least confident first by default
+router.get('/queue',
+  validateReviewQueueQuery,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const limit = parseInt(req.query.limit) || 50;
+    const sort = parseSort(req.query.sort, 'confidence');
+    const filter = {
+      ...buildReviewQueueFilter(req.query),
+      ...buildDetectionFilter({ disease: req.query.disease })
+    };
+
+    let cursorFilter = {};
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor, { isDate: sort.field !== 'confidence' });
+      if (!cursor || !mongoose.isValidObjectId(cursor.id)) {
+        return res.status(400).json({
+          error: 'Invalid cursor'
+        });
+      }
+      cursorFilter = buildCursorFilter(sort, cursor, {
+        isDate: sort.field !== 'confidence',
+        toId: (id) => new mongoose.Types.ObjectId(id)
+      });
+    }
+
+    const [uploads, total] = await Promise.all([
+      UploadHistory.find({ $and: [filter, cursorFilter] })
+        .sort({ [sort.field]: sort.direction, _id: sort.direction })
+        .limit(limit + 1),
+      UploadHistory.countDocuments(filter)
+    ]);
+
+    const hasMore = uploads.length > limit;
+    const page = hasMore ? uploads.slice(0, limit) : uploads;
+
+    res.json({
+      success: true,
+      data: page.map(formatReviewItem),
+      thresholds: {
+        confidence: REVIEW_CONFIDENCE_THRESHOLD,
+        margin: REVIEW_MARGIN_THRESHOLD
+      },
+      pagination: {
+        limit,
+        total,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(page[page.length - 1], sort.field) : null,
+        sort: req.query.sort || 'confidence'
+      }
+    });
+  })
+);
+
+// Model accuracy against reviewed labels: confusion matrix, per-class scores and calibration
+router.get('/metrics',
+  validateAccuracyMetricsQuery,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: await computeAccuracyMetrics(req.query)
+    });
+  })
+);
+
+// Review state and history for one upload
+router.get('/:uploadId',
+  validateObjectIdParam('uploadId'),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const upload = await UploadHistory.findById(req.params.uploadId);
+
+    if (!upload) {
+      return res.status(404).json({
+        error: 'Upload record not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: formatReviewItem(upload)
+    });
+  })
+);
+
+// Confirm the detected label or correct it
+router.post('/:uploadId',
+  validateObjectIdParam('uploadId'),
+  validateReviewSubmission,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const upload = await UploadHistory.findById(req.params.uploadId);
+
+    if (!upload) {
+      return res.status(404).json({
+        error: 'Upload record not found'
+      });
+    }
+
+    const { verifiedLabel, reviewer, notes } = req.body;
+    await submitReview(upload, { verifiedLabel, reviewer, notes });
+
+    res.json({
+      success: true,
+      data: formatReviewItem(upload)
+    });
+  })
+);
+
+// Dispute a reviewed label so it goes back for another review
+router.post('/:uploadId/dispute',
+  validateObjectIdParam('uploadId'),
+  validateReviewDispute,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const upload = await UploadHistory.findById(req.params.uploadId);
+
+    if (!upload) {
+      return res.status(404).json({
+        error: 'Upload record not found'
+      });
+    }
+
+    const { reviewer, notes } = req.body;
+    await disputeReview(upload, { reviewer, notes });
+
+    res.json({
+      success: true,
+      data: formatReviewItem(upload)
+    });
+  })
+);
+
+export default router;
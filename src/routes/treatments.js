@@ -0,0 +1,89 @@
+// FILE: server/src/routes/treatments.js
+import express from 'express';
+import { TreatmentAction } from '../models/TreatmentAction.js';
+import { buildTreatmentFilter, logTreatmentAction } from '../services/treatmentLog.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import {
+  validateObjectIdParam,
+  validateTreatmentAction,
+  validateTreatmentQuery,
+  handleValidationErrors
+} from '../middleware/validation.js';
+
+const router = express.Router();
+
+// List treatment actions, most recent first
+router.get('/',
+  validateTreatmentQuery,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const filter = buildTreatmentFilter(req.query);
+
+    const [actions, total] = await Promise.all([
+      TreatmentAction.find(filter)
+        .sort({ performedAt: -1 })
+        .limit(parseInt(req.query.limit) || 100),
+      TreatmentAction.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      count: actions.length,
+      total,
+      data: actions
+    });
+  })
+);
+
+// Log what a farmer actually did about a detection
+router.post('/',
+  validateTreatmentAction,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const treatmentAction = await logTreatmentAction(req.body);
+
+    res.status(201).json({
+      success: true,
+      data: treatmentAction
+    });
+  })
+);
+
+// Get a single treatment action
+router.get('/:id',
+  validateObjectIdParam('id'),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const treatmentAction = await TreatmentAction.findById(req.params.id);
+
+    if (!treatmentAction) {
+      return res.status(404).json({ error: 'Treatment action not found' });
+    }
+
+    res.json({
+      success: true,
+      data: treatmentAction
+    });
+  })
+);
+
+// Delete an action logged by mistake
+router.delete('/:id',
+  validateObjectIdParam('id'),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const treatmentAction = await TreatmentAction.findByIdAndDelete(req.params.id);
+
+    if (!treatmentAction) {
+      return res.status(404).json({ error: 'Treatment action not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Treatment action deleted',
+      id: treatmentAction._id
+    });
+  })
+);
+
+export default router;
@@ -0,0 +1,108 @@
+// FILE: server/src/routes/trees.js
+import express from 'express';
+import { Tree } from '../models/Tree.js';
+import { UploadHistory } from '../models/UploadHistory.js';
+import { buildProgressionTimeline } from '../services/progression.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import {
+  validateObjectIdParam,
+  validateTreeUpdate,
+  validateTimelineQuery,
+  handleValidationErrors
+} from '../middleware/validation.js';
+
+const router = express.Router();
+
+// Get a single tree
+router.get('/:id',
+  validateObjectIdParam('id'),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const tree = await Tree.findById(req.params.id);
+
+    if (!tree) {
+      return res.status(404).json({ error: 'Tree not found' });
+    }
+
+    res.json({
+      success: true,
+      data: tree
+    });
+  })
+);
+
+// Update tree details
+router.patch('/:id',
+  validateObjectIdParam('id'),
+  validateTreeUpdate,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const tree = await Tree.findById(req.params.id);
+
+    if (!tree) {
+      return res.status(404).json({ error: 'Tree not found' });
+    }
+
+    for (const key of ['code', 'variety', 'plantingDate', 'notes']) {
+      if (req.body[key] !== undefined) {
+        tree[key] = req.body[key];
+      }
+    }
+    if (req.body.location !== undefined) {
+      tree.location = req.body.location || undefined;
+    }
+    await tree.save();
+
+    res.json({
+      success: true,
+      data: tree
+    });
+  })
+);
+
+// List uploads of a tree, most recent first
+router.get('/:id/uploads',
+  validateObjectIdParam('id'),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { limit = 100, offset = 0 } = req.query;
+
+    const uploads = await UploadHistory.find({ tree: req.params.id })
+      .sort({ uploadedAt: -1 })
+      .skip(parseInt(offset) || 0)
+      .limit(Math.min(parseInt(limit) || 100, 500))
+      .select('filename originalName uploadedAt diseaseDetected prediction confidence detectionAt location capture.capturedAt derivatives');
+
+    res.json({
+      success: true,
+      count: uploads.length,
+      data: uploads
+    });
+  })
+);
+
+// Disease progression over repeated scans, with trend and high-priority transitions
+router.get('/:id/timeline',
+  validateObjectIdParam('id'),
+  validateTimelineQuery,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const tree = await Tree.findById(req.params.id);
+
+    if (!tree) {
+      return res.status(404).json({ error: 'Tree not found' });
+    }
+
+    const timeline = await buildProgressionTimeline({ tree: tree._id }, req.query);
+
+    res.json({
+      success: true,
+      data: {
+        tree: { id: tree._id, code: tree.code, field: tree.field },
+        ...timeline
+      }
+    });
+  })
+);
+
+export default router;
@@ -0,0 +1,149 @@
+// FILE: server/src/routes/uploadSessions.js
+import express from 'express';
+import { Mission } from '../models/Mission.js';
+import {
+  createSession,
+  findActiveSession,
+  appendChunk,
+  finalizeSession,
+  abortSession
+} from '../services/resumableUpload.js';
+import { formatUploadResponse } from '../services/uploadService.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import {
+  validateObjectIdParam,
+  validateUploadSession,
+  handleValidationErrors
+} from '../middleware/validation.js';
+
+// Resumable uploads: create a session, append chunks at the reported offset, then finalize.
+// Offsets are exchanged through tus-style Upload-Offset / Upload-Length headers.
+const router = express.Router();
+
+const CHUNK_CONTENT_TYPE = 'application/offset+octet-stream';
+
+const setOffsetHeaders = (res, session) => {
+  res.set({
+    'Upload-Offset': String(session.offset),
+    'Upload-Length': String(session.size),
+    'Upload-Expires': session.expiresAt.toUTCString(),
+    'Cache-Control': 'no-store'
+  });
+};
+
+const formatSession = (session) => ({
+  id: session._id,
+  originalName: session.originalName,
+  size: session.size,
+  offset: session.offset,
+  expiresAt: session.expiresAt,
+  complete: session.isComplete()
+});
+
+// Start a resumable upload
+router.post('/',
+  validateUploadSession,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { originalName, mimetype, size, missionId } = req.body;
+
+    if (missionId && !await Mission.exists({ _id: missionId })) {
+      return res.status(404).json({ error: 'Mission not found' });
+    }
+
+    const session = await createSession({
+      originalName,
+      mimetype,
+      size: parseInt(size),
+      mission: missionId || null
+    });
+
+    setOffsetHeaders(res, session);
+    res.status(201)
+      .location(`${req.baseUrl}/${session._id}`)
+      .json({
+        success: true,
+        data: formatSession(session)
+      });
+  })
+);
+
+// Query the received offset (tus-style)
+router.head('/:id',
+  validateObjectIdParam('id'),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const session = await findActiveSession(req.params.id);
+    setOffsetHeaders(res, session);
+    res.status(200).end();
+  })
+);
+
+// Query the received offset as JSON
+router.get('/:id',
+  validateObjectIdParam('id'),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const session = await findActiveSession(req.params.id);
+    setOffsetHeaders(res, session);
+    res.json({
+      success: true,
+      data: formatSession(session)
+    });
+  })
+);
+
+// Append a chunk starting at Upload-Offset
+router.patch('/:id',
+  validateObjectIdParam('id'),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    if (!req.is(CHUNK_CONTENT_TYPE)) {
+      return res.status(415).json({ error: `Chunks must be sent as ${CHUNK_CONTENT_TYPE}` });
+    }
+
+    const offset = parseInt(req.get('Upload-Offset'));
+    if (!Number.isInteger(offset) || offset < 0) {
+      return res.status(400).json({ error: 'Upload-Offset header is required' });
+    }
+
+    const session = await findActiveSession(req.params.id);
+
+    try {
+      await appendChunk(session, offset, req);
+    } finally {
+      setOffsetHeaders(res, session);
+    }
+
+    res.status(204).end();
+  })
+);
+
+// Assemble the received bytes into a regular upload record
+router.post('/:id/complete',
+  validateObjectIdParam('id'),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const session = await findActiveSession(req.params.id);
+    const uploadRecord = await finalizeSession(session);
+
+    res.json({
+      success: true,
+      data: formatUploadResponse(uploadRecord)
+    });
+  })
+);
+
+// Abandon an upload and discard the received bytes
+router.delete('/:id',
+  validateObjectIdParam('id'),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const session = await findActiveSession(req.params.id);
+    await abortSession(session);
+
+    res.status(204).end();
+  })
+);
+
+export default router;
@@ -0,0 +1,153 @@
+// FILE: server/src/services/accuracyMetrics.js
+import { UploadHistory } from '../models/UploadHistory.js';
+
+export const DEFAULT_CALIBRATION_BANDS = 10;
+
+const ratio = (numerator, denominator) => (denominator > 0 ? numerator / denominator : null);
+
+// Reviewed detections matching the metrics query. Disputed labels are left out
+// until they have been reviewed again.
+const buildMetricsMatch = ({ modelName, modelVersion, from, to } = {}) => {
+  const match = {
+    'review.status': 'reviewed',
+    'review.verifiedLabel': { $ne: null },
+    'review.predictedLabel': { $ne: null }
+  };
+
+  if (modelName) match['classifier.name'] = modelName;
+  if (modelVersion) match['classifier.version'] = modelVersion;
+
+  if (from || to) {
+    match.detectionAt = {};
+    if (from) match.detectionAt.$gte = new Date(from);
+    if (to) match.detectionAt.$lte = new Date(to);
+  }
+
+  return match;
+};
+
+// Confusion matrix (rows = verified label, columns = predicted) and per-class scores
+const buildClassMetrics = (cells) => {
+  const labels = [...new Set(cells.flatMap((cell) => [cell.actual, cell.predicted]))].sort();
+  const index = new Map(labels.map((label, i) => [label, i]));
+  const matrix = labels.map(() => labels.map(() => 0));
+
+  for (const cell of cells) {
+    matrix[index.get(cell.actual)][index.get(cell.predicted)] += cell.count;
+  }
+
+  const perClass = labels.map((label, i) => {
+    const truePositives = matrix[i][i];
+    const support = matrix[i].reduce((sum, count) => sum + count, 0);
+    const predicted = matrix.reduce((sum, row) => sum + row[i], 0);
+    const precision = ratio(truePositives, predicted);
+    const recall = ratio(truePositives, support);
+    // Same as 2PR / (P + R), but also defined (as 0) when the class is never predicted
+    const f1 = ratio(2 * truePositives, support + predicted);
+
+    return {
+      diseaseKey: label,
+      support,
+      truePositives,
+      falsePositives: predicted - truePositives,
+      falseNegatives: support - truePositives,
+      precision,
+      recall,
+      f1
+    };
+  });
+
+  const scored = perClass.filter((metrics) => metrics.f1 !== null);
+
+  return {
+    labels,
+    confusionMatrix: matrix,
+    perClass,
+    macroF1: ratio(scored.reduce((sum, metrics) => sum + metrics.f1, 0), scored.length)
+  };
+};
+
+// Accuracy per confidence band; a well-calibrated model has accuracy close to avgConfidence
+const buildCalibration = (cells, bands) => Array.from({ length: bands }, (_, band) => {
+  const inBand = cells.filter((cell) => cell.band === band);
+  const count = inBand.reduce((sum, cell) => sum + cell.count, 0);
+  const correct = inBand
+    .filter((cell) => cell.actual === cell.predicted)
+    .reduce((sum, cell) => sum + cell.count, 0);
+  const confidenceSum = inBand.reduce((sum, cell) => sum + cell.confidenceSum, 0);
+
+  return {
+    min: band / bands,
+    max: (band + 1) / bands,
+    count,
+    accuracy: ratio(correct, count),
+    avgConfidence: ratio(confidenceSum, count)
+  };
+});
+
+const buildModelMetrics = (model, cells, bands) => {
+  const total = cells.reduce((sum, cell) => sum + cell.count, 0);
+  const correct = cells
+    .filter((cell) => cell.actual === cell.predicted)
+    .reduce((sum, cell) => sum + cell.count, 0);
+
+  return {
+    model,
+    total,
+    accuracy: ratio(correct, total),
+    ...buildClassMetrics(cells),
+    calibration: buildCalibration(cells.filter((cell) => cell.band !== null), bands)
+  };
+};
+
+// Compare reviewed labels with the model's predictions, overall and per model version
+export const computeAccuracyMetrics = async (query = {}) => {
+  const bands = parseInt(query.bands) || DEFAULT_CALIBRATION_BANDS;
+
+  // One row per (model, verified label, predicted label, confidence band)
+  const cells = await UploadHistory.aggregate([
+    { $match: buildMetricsMatch(query) },
+    {
+      $group: {
+        _id: {
+          name: '$classifier.name',
+          version: '$classifier.version',
+          actual: '$review.verifiedLabel',
+          predicted: '$review.predictedLabel',
+          band: {
+            $cond: [
+              { $isNumber: '$review.predictedConfidence' },
+              { $min: [{ $floor: { $multiply: ['$review.predictedConfidence', bands] } }, bands - 1] },
+              null
+            ]
+          }
+        },
+        count: { $sum: 1 },
+        confidenceSum: { $sum: { $ifNull: ['$review.predictedConfidence', 0] } }
+      }
+    }
+  ]);
+
+  const rows = cells.map(({ _id, count, confidenceSum }) => ({ ..._id, count, confidenceSum }));
+
+  const byModel = new Map();
+  for (const row of rows) {
+    const key = `${row.name ?? ''}@${row.version ?? ''}`;
+    if (!byModel.has(key)) {
+      byModel.set(key, { model: { name: row.name ?? null, version: row.version ?? null }, rows: [] });
+    }
+    byModel.get(key).rows.push(row);
+  }
+
+  return {
+    filters: {
+      modelName: query.modelName || null,
+      modelVersion: query.modelVersion || null,
+      from: query.from || null,
+      to: query.to || null,
+      bands
+    },
+    overall: buildModelMetrics(null, rows, bands),
+    models: [...byModel.values()].map(({ model, rows: modelRows }) => buildModelMetrics(model, modelRows, bands))
+  };
+};
@@ -0,0 +1,143 @@
+// FILE: server/src/services/archiveIngest.js
+import fs from 'fs';
+import path from 'path';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import yauzl from 'yauzl';
+import { uploadsDir, generateUploadFilename, MAX_IMAGE_SIZE } from '../middleware/upload.js';
+import { logger } from '../utils/logger.js';
+
+const MAX_ARCHIVE_ENTRIES = parseInt(process.env.MAX_ARCHIVE_ENTRIES) || 1000;
+
+const IMAGE_EXTENSIONS = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.heic': 'image/heic'
+};
+
+const openZip = (archivePath) => new Promise((resolve, reject) => {
+  yauzl.open(archivePath, { lazyEntries: true, autoClose: true }, (error, zipfile) => {
+    if (error) reject(error);
+    else resolve(zipfile);
+  });
+});
+
+const openEntryStream = (zipfile, entry) => new Promise((resolve, reject) => {
+  zipfile.openReadStream(entry, (error, stream) => {
+    if (error) reject(error);
+    else resolve(stream);
+  });
+});
+
+// Abort an entry as soon as it inflates past the size limit, regardless of the size its header claims
+const createSizeGuard = (maxBytes) => {
+  let received = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (received > maxBytes) {
+        callback(new Error(`File exceeds the ${Math.round(maxBytes / 1024 / 1024)}MB limit`));
+      } else {
+        callback(null, chunk);
+      }
+    }
+  });
+};
+
+// Write one archive entry into the uploads directory as a multer-like file object
+const extractEntry = async (zipfile, entry) => {
+  const originalName = path.basename(entry.fileName);
+  const extension = path.extname(originalName).toLowerCase();
+  const mimetype = IMAGE_EXTENSIONS[extension];
+
+  if (!mimetype) {
+    throw new Error('Only image files are allowed');
+  }
+  if (entry.uncompressedSize > MAX_IMAGE_SIZE) {
+    throw new Error(`File exceeds the ${Math.round(MAX_IMAGE_SIZE / 1024 / 1024)}MB limit`);
+  }
+
+  const filename = generateUploadFilename('image', extension);
+  const filePath = path.join(uploadsDir, filename);
+
+  try {
+    const readStream = await openEntryStream(zipfile, entry);
+    await pipeline(readStream, createSizeGuard(MAX_IMAGE_SIZE), fs.createWriteStream(filePath));
+  } catch (error) {
+    await fs.promises.rm(filePath, { force: true });
+    throw error;
+  }
+
+  const { size } = await fs.promises.stat(filePath);
+
+  return {
+    fieldname: 'image',
+    originalname: originalName,
+    filename,
+    path: filePath,
+    size,
+    mimetype
+  };
+};
+
+// Skip directories, macOS resource forks and hidden files
+const isIgnoredEntry = (entry) => {
+  const name = entry.fileName;
+  return name.endsWith('/')
+    || name.startsWith('__MACOSX/')
+    || path.basename(name).startsWith('.');
+};
+
+// Stream a ZIP archive entry by entry, extracting valid images and reporting the rest
+export const extractImagesFromZip = async (archivePath) => {
+  const zipfile = await openZip(archivePath);
+  const files = [];
+  const rejected = [];
+
+  if (zipfile.entryCount > MAX_ARCHIVE_ENTRIES) {
+    zipfile.close();
+    throw new Error(`Archive contains more than ${MAX_ARCHIVE_ENTRIES} entries`);
+  }
+
+  // Entries are read one at a time; this tracks the one being extracted (it never rejects)
+  let extracting = Promise.resolve();
+  let aborted = false;
+
+  try {
+    await new Promise((resolve, reject) => {
+      zipfile.on('entry', (entry) => {
+        extracting = (async () => {
+          if (!isIgnoredEntry(entry)) {
+            try {
+              files.push(await extractEntry(zipfile, entry));
+            } catch (error) {
+              rejected.push({ originalName: entry.fileName, error: error.message });
+            }
+          }
+          if (!aborted) zipfile.readEntry();
+        })();
+      });
+      zipfile.on('end', resolve);
+      zipfile.on('error', (error) => {
+        aborted = true;
+        reject(error);
+      });
+      zipfile.readEntry();
+    });
+  } catch (error) {
+    // A corrupt archive fails as a whole; let the entry in progress finish, then drop everything extracted
+    await extracting;
+    await Promise.all(files.map((file) => fs.promises.rm(file.path, { force: true })));
+    throw error;
+  }
+
+  logger.info('ZIP archive extracted', {
+    archive: path.basename(archivePath),
+    extracted: files.length,
+    rejected: rejected.length
+  });
+
+  return { files, rejected };
+};
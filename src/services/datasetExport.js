@@ -0,0 +1,252 @@
+// FILE: server/src/services/datasetExport.js
+import fs from 'fs';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import yazl from 'yazl';
+import { DatasetExport } from '../models/DatasetExport.js';
+import { UploadHistory } from '../models/UploadHistory.js';
+import { getStorageForRecord } from './storage/index.js';
+import { logger } from '../utils/logger.js';
+
+export const exportsDir = process.env.EXPORTS_DIR
+  ? path.resolve(process.cwd(), process.env.EXPORTS_DIR)
+  : path.join(process.cwd(), 'exports');
+if (!fs.existsSync(exportsDir)) {
+  fs.mkdirSync(exportsDir, { recursive: true });
+}
+
+// Finished archives can be downloaded for this long before cleanup removes them
+const EXPORT_TTL_MS = parseInt(process.env.EXPORT_TTL_MS) || 7 * 24 * 60 * 60 * 1000;
+
+const MANIFEST_COLUMNS = [
+  'path',
+  'uploadId',
+  'label',
+  'predictedLabel',
+  'predictedConfidence',
+  'modelName',
+  'modelVersion',
+  'reviewer',
+  'reviewedAt',
+  'uploadedAt',
+  'capturedAt',
+  'latitude',
+  'longitude',
+  'mission',
+  'contentHash',
+  'originalName'
+];
+
+export const getExportPath = (datasetExport) => path.join(exportsDir, `${datasetExport._id}.zip`);
+
+// Reviewed uploads with a verified label, matching the export filters
+const buildExportFilter = ({ classes, minConfidence, from, to } = {}) => {
+  const filter = {
+    'review.status': 'reviewed',
+    'review.verifiedLabel': classes?.length ? { $in: classes } : { $ne: null },
+    fileMissingAt: null
+  };
+
+  if (minConfidence !== null && minConfidence !== undefined) {
+    filter.confidence = { $gte: minConfidence };
+  }
+
+  if (from || to) {
+    filter.uploadedAt = {};
+    if (from) filter.uploadedAt.$gte = from;
+    if (to) filter.uploadedAt.$lte = to;
+  }
+
+  return filter;
+};
+
+const shuffle = (items) => {
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+  return items;
+};
+
+// Group records per label and cap each class: balancing undersamples every class
+// to the size of the smallest one, maxPerClass caps them independently
+const selectPerClass = (records, { balance, maxPerClass }) => {
+  const byLabel = new Map();
+  for (const record of records) {
+    const label = record.review.verifiedLabel;
+    if (!byLabel.has(label)) byLabel.set(label, []);
+    byLabel.get(label).push(record);
+  }
+
+  let cap = maxPerClass || Infinity;
+  if (balance && byLabel.size > 0) {
+    cap = Math.min(cap, ...[...byLabel.values()].map((group) => group.length));
+  }
+
+  return new Map([...byLabel.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([label, group]) => [label, group.length > cap ? shuffle(group).slice(0, cap) : group]));
+};
+
+const csvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const manifestRow = (record, entryPath) => [
+  entryPath,
+  record._id,
+  record.review.verifiedLabel,
+  record.review.predictedLabel,
+  record.review.predictedConfidence,
+  record.classifier?.name,
+  record.classifier?.version,
+  record.review.reviewer,
+  record.review.reviewedAt,
+  record.uploadedAt,
+  record.capture?.capturedAt,
+  record.location?.coordinates?.[1],
+  record.location?.coordinates?.[0],
+  record.mission,
+  record.contentHash,
+  record.originalName
+].map(csvValue).join(',');
+
+// Build the ImageFolder-style archive: one folder per diseaseKey plus manifest.csv
+const writeDatasetArchive = async (datasetExport) => {
+  const records = await UploadHistory.find(buildExportFilter(datasetExport.filters))
+    .select('filename originalName storageDriver uploadedAt capture.capturedAt location mission contentHash classifier review')
+    .lean();
+
+  const selected = selectPerClass(records, datasetExport.filters);
+  const zipfile = new yazl.ZipFile();
+  const manifest = [MANIFEST_COLUMNS.join(',')];
+  const classCounts = {};
+  let skipped = 0;
+
+  for (const [label, group] of selected) {
+    classCounts[label] = 0;
+
+    for (const record of group) {
+      const storage = getStorageForRecord(record);
+      if (!await storage.exists(record.filename)) {
+        skipped++;
+        continue;
+      }
+
+      const entryPath = `${label}/${record.filename}`;
+      // Streams are opened one at a time as the archive is written; images are already compressed
+      zipfile.addReadStreamLazy(entryPath, { compress: false }, (callback) => {
+        storage.getStream(record.filename)
+          .then(({ stream }) => callback(null, stream))
+          .catch(callback);
+      });
+      manifest.push(manifestRow(record, entryPath));
+      classCounts[label]++;
+    }
+  }
+
+  zipfile.addBuffer(Buffer.from(`${manifest.join('\n')}\n`), 'manifest.csv');
+  zipfile.end();
+
+  const partPath = `${getExportPath(datasetExport)}.part`;
+  try {
+    await pipeline(zipfile.outputStream, fs.createWriteStream(partPath));
+    await fs.promises.rename(partPath, getExportPath(datasetExport));
+  } catch (error) {
+    await fs.promises.rm(partPath, { force: true });
+    throw error;
+  }
+
+  const { size } = await fs.promises.stat(getExportPath(datasetExport));
+  return { classCounts, skipped, size };
+};
+
+const runDatasetExport = async (id) => {
+  const datasetExport = await DatasetExport.findOneAndUpdate(
+    { _id: id, status: 'queued' },
+    { status: 'running', startedAt: new Date() },
+    { new: true }
+  );
+  if (!datasetExport) return;
+
+  try {
+    const { classCounts, skipped, size } = await writeDatasetArchive(datasetExport);
+
+    datasetExport.set({
+      status: 'completed',
+      classCounts,
+      totalImages: Object.values(classCounts).reduce((sum, count) => sum + count, 0),
+      skipped,
+      size,
+      completedAt: new Date(),
+      expiresAt: new Date(Date.now() + EXPORT_TTL_MS)
+    });
+    await datasetExport.save();
+
+    logger.info('Dataset export completed', {
+      exportId: datasetExport._id,
+      totalImages: datasetExport.totalImages,
+      skipped,
+      size
+    });
+  } catch (error) {
+    datasetExport.set({ status: 'failed', error: error.message, completedAt: new Date() });
+    await datasetExport.save();
+
+    logger.error('Dataset export failed', { exportId: datasetExport._id, error: error.message });
+  }
+};
+
+// Exports run one after another in the background so they don't compete for disk and memory
+let exportQueue = Promise.resolve();
+
+const enqueueExport = (id) => {
+  exportQueue = exportQueue
+    .then(() => runDatasetExport(id))
+    .catch((error) => logger.error('Dataset export job crashed', { exportId: id, error: error.message }));
+};
+
+export const createDatasetExport = async (filters, requestedBy = null) => {
+  const datasetExport = await DatasetExport.create({ filters, requestedBy });
+
+  logger.info('Dataset export queued', { exportId: datasetExport._id, filters });
+  enqueueExport(datasetExport._id);
+
+  return datasetExport;
+};
+
+// On startup, fail exports interrupted by a restart and pick up the ones still queued
+export const resumeDatasetExports = async () => {
+  const interrupted = await DatasetExport.updateMany(
+    { status: 'running' },
+    { status: 'failed', error: 'Interrupted by server restart', completedAt: new Date() }
+  );
+
+  const queued = await DatasetExport.find({ status: 'queued' }, '_id').sort({ createdAt: 1 });
+  queued.forEach((datasetExport) => enqueueExport(datasetExport._id));
+
+  return { interrupted: interrupted.modifiedCount, resumed: queued.length };
+};
+
+// Delete an export record together with its archive
+export const deleteDatasetExport = async (datasetExport) => {
+  await fs.promises.rm(getExportPath(datasetExport), { force: true });
+  await datasetExport.deleteOne();
+};
+
+// Remove archives past their download window
+export const cleanupExpiredExports = async () => {
+  const expired = await DatasetExport.find({ expiresAt: { $lt: new Date() } });
+
+  for (const datasetExport of expired) {
+    await deleteDatasetExport(datasetExport);
+  }
+
+  if (expired.length > 0) {
+    logger.info('Expired dataset exports removed', { count: expired.length });
+  }
+
+  return { removed: expired.length };
+};
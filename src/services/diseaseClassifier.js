@@ -0,0 +1,148 @@
+// FILE: server/src/services/diseaseClassifier.js
+import fs from 'fs/promises';
+import path from 'path';
+import sharp from 'sharp';
+import { Recommendation } from '../models/Recommendation.js';
+import { logger } from '../utils/logger.js';
+
+// Server-side image classifier for the exported Teachable Machine model (ONNX, CPU)
+class DiseaseClassifier {
+  constructor() {
+    this.modelPath = process.env.MODEL_PATH
+      ? path.resolve(process.cwd(), process.env.MODEL_PATH)
+      : null;
+    this.metadataPath = process.env.MODEL_METADATA_PATH
+      ? path.resolve(process.cwd(), process.env.MODEL_METADATA_PATH)
+      : null;
+    this.inputSize = parseInt(process.env.MODEL_INPUT_SIZE) || 224;
+    // Teachable Machine exports are NHWC; models converted from PyTorch are usually NCHW
+    this.inputLayout = (process.env.MODEL_INPUT_LAYOUT || 'nhwc').toLowerCase();
+    this.modelName = process.env.MODEL_NAME || 'teachable-machine';
+    this.modelVersion = process.env.MODEL_VERSION || null;
+
+    this.session = null;
+    this.labels = null;
+    this.loading = null;
+  }
+
+  // Inference is only available when a model file has been configured
+  isEnabled() {
+    return !!this.modelPath;
+  }
+
+  // Load the ONNX session and class labels once, sharing the promise between concurrent callers
+  async load() {
+    if (this.session) return;
+    if (!this.isEnabled()) {
+      throw new Error('Disease classifier is not configured. Set MODEL_PATH to an exported ONNX model.');
+    }
+
+    if (!this.loading) {
+      this.loading = (async () => {
+        const ort = await import('onnxruntime-node');
+        this.labels = await this.loadLabels();
+        this.session = await ort.InferenceSession.create(this.modelPath, {
+          executionProviders: ['cpu']
+        });
+        this.ort = ort;
+
+        logger.info('Disease classifier loaded', {
+          model: this.modelName,
+          version: this.modelVersion,
+          labels: this.labels
+        });
+      })().catch((error) => {
+        this.loading = null;
+        throw error;
+      });
+    }
+
+    await this.loading;
+  }
+
+  // Class labels come from the Teachable Machine metadata.json or MODEL_LABELS
+  async loadLabels() {
+    if (process.env.MODEL_LABELS) {
+      return process.env.MODEL_LABELS.split(',').map((label) => label.trim());
+    }
+
+    const metadataPath = this.metadataPath
+      || path.join(path.dirname(this.modelPath), 'metadata.json');
+    const metadata = JSON.parse(await fs.readFile(metadataPath, 'utf8'));
+
+    if (!Array.isArray(metadata.labels) || metadata.labels.length === 0) {
+      throw new Error(`No labels found in model metadata: ${metadataPath}`);
+    }
+
+    if (metadata.modelName && !process.env.MODEL_NAME) {
+      this.modelName = metadata.modelName;
+    }
+    if (metadata.timeStamp && !this.modelVersion) {
+      this.modelVersion = metadata.timeStamp;
+    }
+
+    return metadata.labels;
+  }
+
+  // Resize to the model input and scale pixels to [-1, 1] like the Teachable Machine preprocessor
+  async preprocess(image) {
+    const size = this.inputSize;
+    const { data } = await sharp(image)
+      .rotate()
+      .resize(size, size, { fit: 'cover' })
+      .removeAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    const pixels = size * size;
+    const tensorData = new Float32Array(pixels * 3);
+
+    for (let i = 0; i < pixels; i++) {
+      for (let c = 0; c < 3; c++) {
+        const value = data[i * 3 + c] / 127.5 - 1;
+        if (this.inputLayout === 'nchw') {
+          tensorData[c * pixels + i] = value;
+        } else {
+          tensorData[i * 3 + c] = value;
+        }
+      }
+    }
+
+    const dims = this.inputLayout === 'nchw' ? [1, 3, size, size] : [1, size, size, 3];
+    return new this.ort.Tensor('float32', tensorData, dims);
+  }
+
+  // Run the model on an image (file path or Buffer) and return the top class with the full distribution
+  async classify(image) {
+    await this.load();
+
+    const startTime = Date.now();
+    const input = await this.preprocess(image);
+    const outputs = await this.session.run({ [this.session.inputNames[0]]: input });
+    const scores = Array.from(outputs[this.session.outputNames[0]].data);
+
+    if (scores.length !== this.labels.length) {
+      throw new Error(`Model returned ${scores.length} scores for ${this.labels.length} labels`);
+    }
+
+    const probabilities = this.labels.reduce((acc, label, index) => {
+      acc[Recommendation.normalizeKey(label)] = scores[index];
+      return acc;
+    }, {});
+
+    const topIndex = scores.indexOf(Math.max(...scores));
+
+    return {
+      diseaseKey: Recommendation.normalizeKey(this.labels[topIndex]),
+      label: this.labels[topIndex],
+      confidence: scores[topIndex],
+      probabilities,
+      model: this.modelName,
+      modelVersion: this.modelVersion,
+      runtime: 'onnxruntime-node',
+      processingTime: Date.now() - startTime
+    };
+  }
+}
+
+export const diseaseClassifier = new DiseaseClassifier();
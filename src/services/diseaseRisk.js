@@ -0,0 +1,130 @@
+// FILE: server/src/services/diseaseRisk.js
+import { WeatherObservation } from '../models/WeatherObservation.js';
+import { Recommendation } from '../models/Recommendation.js';
+import { startOfUtcDay } from './weatherService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const MAX_RISK_DAYS = 90;
+
+// Score cut-offs for the risk level shown to farmers
+const RISK_LEVELS = [
+  { level: 'high', minScore: 0.67 },
+  { level: 'medium', minScore: 0.34 },
+  { level: 'low', minScore: 0 }
+];
+
+const riskLevel = (score) => (score === null
+  ? 'unknown'
+  : RISK_LEVELS.find((entry) => score >= entry.minScore).level);
+
+const AGGREGATES = {
+  sum: (values) => values.reduce((total, value) => total + value, 0),
+  mean: (values) => values.reduce((total, value) => total + value, 0) / values.length,
+  min: (values) => Math.min(...values),
+  max: (values) => Math.max(...values)
+};
+
+const dayKey = (date) => date.toISOString().slice(0, 10);
+
+// Evaluate one rule on the lookback window ending on `day`; null value when there is no data
+const evaluateRule = (rule, day, observationsByDay) => {
+  const values = [];
+  for (let offset = 0; offset < rule.lookbackDays; offset++) {
+    const observation = observationsByDay.get(dayKey(new Date(day.getTime() - offset * DAY_MS)));
+    const value = observation?.[rule.variable];
+    if (value !== null && value !== undefined) values.push(value);
+  }
+
+  const value = values.length > 0 ? AGGREGATES[rule.aggregate](values) : null;
+  const met = value !== null
+    && (rule.min === null || rule.min === undefined || value >= rule.min)
+    && (rule.max === null || rule.max === undefined || value <= rule.max);
+
+  return {
+    variable: rule.variable,
+    aggregate: rule.aggregate,
+    lookbackDays: rule.lookbackDays,
+    min: rule.min ?? null,
+    max: rule.max ?? null,
+    weight: rule.weight,
+    description: rule.description || null,
+    value,
+    daysWithData: values.length,
+    met
+  };
+};
+
+// Weight share of the recommendation's rules that are met. Rules without weather data
+// are left out, and the score is null when none of them could be evaluated.
+const scoreDisease = (recommendation, day, observationsByDay) => {
+  const factors = recommendation.riskRules.map((rule) => evaluateRule(rule, day, observationsByDay));
+  const evaluated = factors.filter((factor) => factor.value !== null);
+  const totalWeight = evaluated.reduce((total, factor) => total + factor.weight, 0);
+  const metWeight = evaluated.filter((factor) => factor.met).reduce((total, factor) => total + factor.weight, 0);
+  const score = totalWeight > 0 ? metWeight / totalWeight : null;
+
+  return {
+    diseaseKey: recommendation.diseaseKey,
+    displayName: recommendation.displayName,
+    score,
+    level: riskLevel(score),
+    coverage: factors.length > 0 ? evaluated.length / factors.length : null,
+    factors
+  };
+};
+
+// Daily weather risk per disease for a farm, for the `days` days ending on `date`
+export const computeDiseaseRisk = async (farm, { date, days = 1, diseaseKey } = {}) => {
+  const end = startOfUtcDay(date || new Date());
+  const dayCount = Math.min(Math.max(parseInt(days) || 1, 1), MAX_RISK_DAYS);
+  const start = new Date(end.getTime() - (dayCount - 1) * DAY_MS);
+
+  const recommendationFilter = { 'riskRules.0': { $exists: true } };
+  if (diseaseKey) recommendationFilter.diseaseKey = diseaseKey;
+  const recommendations = await Recommendation.find(recommendationFilter, 'diseaseKey displayName riskRules');
+
+  const lookback = Math.max(1, ...recommendations.flatMap((rec) => rec.riskRules.map((rule) => rule.lookbackDays)));
+  const observations = await WeatherObservation.find({
+    farm: farm._id,
+    date: { $gte: new Date(start.getTime() - (lookback - 1) * DAY_MS), $lte: end }
+  });
+  const observationsByDay = new Map(observations.map((observation) => [dayKey(observation.date), observation]));
+
+  const series = [];
+  for (let time = start.getTime(); time <= end.getTime(); time += DAY_MS) {
+    const day = new Date(time);
+    series.push({
+      date: dayKey(day),
+      hasWeather: observationsByDay.has(dayKey(day)),
+      diseases: recommendations.map((rec) => scoreDisease(rec, day, observationsByDay))
+    });
+  }
+
+  return {
+    farm: { id: farm._id, name: farm.name },
+    from: dayKey(start),
+    to: dayKey(end),
+    series
+  };
+};
+
+// Today's risk for one disease as context for the LLM, or null without rules or weather
+export const getRiskContext = async (farm, diseaseKey) => {
+  const { series } = await computeDiseaseRisk(farm, { diseaseKey });
+  const risk = series[0]?.diseases[0];
+  if (!risk || risk.score === null) return null;
+
+  return {
+    date: series[0].date,
+    level: risk.level,
+    score: Math.round(risk.score * 100) / 100,
+    conditions: risk.factors
+      .filter((factor) => factor.value !== null)
+      .map((factor) => ({
+        description: factor.description || `${factor.aggregate} ${factor.variable} over ${factor.lookbackDays} day(s)`,
+        value: Math.round(factor.value * 10) / 10,
+        met: factor.met
+      }))
+  };
+};
@@ -0,0 +1,63 @@
+// FILE: server/src/services/exifService.js
+import exifr from 'exifr';
+import { logger } from '../utils/logger.js';
+
+const toNumber = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+// Pull GPS position, altitude, capture time and camera details from EXIF/XMP tags
+export const extractImageMetadata = async (filePath) => {
+  let tags;
+  try {
+    tags = await exifr.parse(filePath, {
+      tiff: true,
+      exif: true,
+      gps: true,
+      xmp: true,
+      mergeOutput: true
+    });
+  } catch (error) {
+    logger.debug('Failed to parse image metadata', { path: filePath, error: error.message });
+    return {};
+  }
+
+  if (!tags) return {};
+
+  const metadata = {};
+
+  const latitude = toNumber(tags.latitude);
+  const longitude = toNumber(tags.longitude);
+  if (latitude !== null && longitude !== null
+    && Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180
+    && !(latitude === 0 && longitude === 0)) {
+    metadata.location = {
+      type: 'Point',
+      coordinates: [longitude, latitude]
+    };
+  }
+
+  // DJI drones write absolute/relative altitude to XMP; fall back to the EXIF GPS altitude
+  let altitude = toNumber(tags.AbsoluteAltitude);
+  if (altitude === null) {
+    altitude = toNumber(tags.GPSAltitude);
+    if (altitude !== null && tags.GPSAltitudeRef === 1) {
+      altitude = -altitude;
+    }
+  }
+
+  const capturedAt = tags.DateTimeOriginal || tags.CreateDate || null;
+
+  metadata.capture = {
+    capturedAt: capturedAt instanceof Date && !isNaN(capturedAt) ? capturedAt : null,
+    altitude,
+    relativeAltitude: toNumber(tags.RelativeAltitude),
+    cameraMake: tags.Make ? String(tags.Make).trim() : null,
+    cameraModel: tags.Model ? String(tags.Model).trim() : null,
+    gimbalPitch: toNumber(tags.GimbalPitchDegree)
+  };
+
+  return metadata;
+};
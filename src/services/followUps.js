@@ -0,0 +1,184 @@
+// FILE: server/src/services/followUps.js
+import { FollowUpTask, OPEN_FOLLOW_UP_STATUSES } from '../models/FollowUpTask.js';
+import { Recommendation, HEALTHY_DISEASE_KEY } from '../models/Recommendation.js';
+import { notifyChannels } from './notifiers/index.js';
+import { isAdviceReleased } from './reviewService.js';
+import { logger } from '../utils/logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Reminders sent per scheduler run; the rest go out on the next run
+const MAX_REMINDERS_PER_RUN = 100;
+
+export class FollowUpError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.name = 'FollowUpError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Open follow-ups a scan of this placement completes: tree-level ones for the same tree,
+// and field-level ones for any scan in the field
+const openFollowUpsFor = (upload) => ({
+  field: upload.field,
+  tree: upload.tree ? { $in: [null, upload.tree] } : null,
+  status: { $in: OPEN_FOLLOW_UP_STATUSES },
+  upload: { $ne: upload._id }
+});
+
+// Complete the open follow-ups for the field or tree a new scan covers.
+// Failures are logged rather than thrown, since the upload itself has already been saved.
+export const completeFollowUps = async (upload) => {
+  if (!upload.field) return 0;
+
+  try {
+    const result = await FollowUpTask.updateMany(openFollowUpsFor(upload), {
+      status: 'completed',
+      completedBy: upload._id,
+      completedAt: new Date()
+    });
+
+    if (result.modifiedCount > 0) {
+      logger.info('Follow-ups completed by new scan', { uploadId: upload._id, completed: result.modifiedCount });
+    }
+
+    return result.modifiedCount;
+  } catch (error) {
+    logger.error('Completing follow-ups failed', { uploadId: upload._id, error: error.message });
+    return 0;
+  }
+};
+
+// Create a re-scan task for a detection whose disease has a follow-up interval.
+// Only placed uploads get one, since a later scan can only be matched by field or tree.
+export const scheduleFollowUp = async (upload) => {
+  const diseaseKey = upload.diseaseDetected;
+  if (!upload.field || !diseaseKey || diseaseKey === HEALTHY_DISEASE_KEY) return null;
+
+  try {
+    const recommendation = await Recommendation.findOne({ diseaseKey }, 'followUpDays');
+    if (!recommendation?.followUpDays) return null;
+
+    // Another detection of the same disease before the re-scan keeps the existing task
+    const existing = await FollowUpTask.findOne({
+      field: upload.field,
+      tree: upload.tree || null,
+      diseaseKey,
+      status: { $in: OPEN_FOLLOW_UP_STATUSES }
+    });
+    if (existing) return existing;
+
+    const detectedAt = upload.detectionAt || new Date();
+    const task = await FollowUpTask.create({
+      upload: upload._id,
+      farm: upload.farm,
+      field: upload.field,
+      tree: upload.tree || null,
+      diseaseKey,
+      dueAt: new Date(detectedAt.getTime() + recommendation.followUpDays * DAY_MS)
+    });
+
+    logger.info('Follow-up scheduled', {
+      followUpId: task._id,
+      uploadId: upload._id,
+      diseaseKey,
+      dueAt: task.dueAt
+    });
+
+    return task;
+  } catch (error) {
+    logger.error('Scheduling follow-up failed', { uploadId: upload._id, error: error.message });
+    return null;
+  }
+};
+
+// Follow-up bookkeeping for newly recorded uploads: first complete the tasks they re-scan,
+// then schedule new ones, so images in the same batch don't complete each other's tasks
+export const processScanFollowUps = async (uploads) => {
+  for (const upload of uploads) {
+    await completeFollowUps(upload);
+  }
+  for (const upload of uploads) {
+    await scheduleFollowUp(upload);
+  }
+};
+
+// Until an expert has confirmed the detection the reminder asks for a re-scan only,
+// without implying that a treatment was recommended
+const buildReminderMessage = (task, displayName) => {
+  const place = task.tree?.code
+    ? `tree ${task.tree.code} in field ${task.field.name}`
+    : `field ${task.field.name}`;
+  const confirmed = isAdviceReleased(task.upload);
+  const detected = `${displayName} was detected on ${place} on ${task.createdAt.toISOString().slice(0, 10)}`;
+
+  return {
+    subject: `[AgriDrone] Re-scan reminder: ${displayName}`,
+    text: confirmed
+      ? `${detected}. Please re-inspect and upload a new scan so we can check whether the treatment is working.`
+      : `${detected} and is awaiting expert confirmation. Please re-inspect and upload a new scan; `
+        + 'treatment advice follows once an expert has confirmed the detection.',
+    payload: {
+      event: 'followup.due',
+      followUpId: task._id,
+      upload: task.upload?._id || null,
+      farm: task.farm._id,
+      field: task.field._id,
+      tree: task.tree?._id || null,
+      diseaseKey: task.diseaseKey,
+      reviewStatus: task.upload?.review?.status || 'pending',
+      dueAt: task.dueAt
+    }
+  };
+};
+
+// Scheduler job: send reminders for follow-ups that have reached their due date
+export const sendDueFollowUpReminders = async () => {
+  const tasks = await FollowUpTask.find({ status: 'scheduled', dueAt: { $lte: new Date() } })
+    .sort({ dueAt: 1 })
+    .limit(MAX_REMINDERS_PER_RUN)
+    .populate('farm', 'name channels')
+    .populate('field', 'name')
+    .populate('tree', 'code')
+    .populate('upload', 'review.status');
+
+  if (tasks.length === 0) return { sent: 0 };
+
+  const recommendations = await Recommendation.find(
+    { diseaseKey: { $in: [...new Set(tasks.map((task) => task.diseaseKey))] } },
+    'diseaseKey displayName'
+  );
+  const displayNames = new Map(recommendations.map((rec) => [rec.diseaseKey, rec.displayName]));
+
+  for (const task of tasks) {
+    const channels = task.farm?.channels || [];
+    if (channels.length === 0) {
+      logger.warn('Follow-up due but farm has no notification channels', { followUpId: task._id });
+    } else {
+      const message = buildReminderMessage(task, displayNames.get(task.diseaseKey) || task.diseaseKey);
+      task.notifications.push(...await notifyChannels(channels, message));
+    }
+
+    task.set({ status: 'due', notifiedAt: new Date() });
+    await task.save();
+  }
+
+  logger.info('Follow-up reminders sent', { sent: tasks.length });
+
+  return { sent: tasks.length };
+};
+
+// Close an open follow-up by hand, e.g. when the tree was removed
+export const cancelFollowUp = async (task, { by, notes }) => {
+  if (!OPEN_FOLLOW_UP_STATUSES.includes(task.status)) {
+    throw new FollowUpError(`Follow-up is already ${task.status}`, 409);
+  }
+
+  task.set({ status: 'cancelled', cancelledBy: by, cancelledAt: new Date() });
+  if (notes) task.notes = notes;
+  await task.save();
+
+  logger.info('Follow-up cancelled', { followUpId: task._id, by });
+  return task;
+};
@@ -0,0 +1,55 @@
+// FILE: server/src/services/imageDerivatives.js
+import fs from 'fs/promises';
+import path from 'path';
+import sharp from 'sharp';
+import { logger } from '../utils/logger.js';
+
+// Derivative sizes served to the gallery instead of full-resolution originals
+export const DERIVATIVE_SIZES = {
+  thumbnail: { maxSize: parseInt(process.env.THUMBNAIL_SIZE) || 320, quality: 70 },
+  medium: { maxSize: parseInt(process.env.PREVIEW_SIZE) || 1280, quality: 80 }
+};
+
+// Derivative filename next to the original, e.g. image-123-456.thumbnail.webp
+export const getDerivativeFilename = (filename, name) => {
+  const base = path.basename(filename, path.extname(filename));
+  return `${base}.${name}.webp`;
+};
+
+// Generate WebP thumbnail and preview files in the same directory as the original
+export const generateDerivatives = async (filePath, filename) => {
+  const derivatives = {};
+  const directory = path.dirname(filePath);
+
+  try {
+    for (const [name, { maxSize, quality }] of Object.entries(DERIVATIVE_SIZES)) {
+      const derivativeFilename = getDerivativeFilename(filename, name);
+      const info = await sharp(filePath)
+        .rotate()
+        .resize(maxSize, maxSize, { fit: 'inside', withoutEnlargement: true })
+        .webp({ quality })
+        .toFile(path.join(directory, derivativeFilename));
+
+      derivatives[name] = {
+        filename: derivativeFilename,
+        width: info.width,
+        height: info.height,
+        size: info.size
+      };
+    }
+  } catch (error) {
+    logger.warn('Failed to generate image derivatives', { filename, error: error.message });
+    await removeDerivatives(filePath, filename);
+    return {};
+  }
+
+  return derivatives;
+};
+
+// Remove derivative files for an original, ignoring any that were never generated
+export const removeDerivatives = async (filePath, filename) => {
+  const directory = path.dirname(filePath);
+  await Promise.all(Object.keys(DERIVATIVE_SIZES).map((name) => (
+    fs.rm(path.join(directory, getDerivativeFilename(filename, name)), { force: true })
+  )));
+};
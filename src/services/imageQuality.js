@@ -0,0 +1,155 @@
+// FILE: server/src/services/imageQuality.js
+import sharp from 'sharp';
+import { ImageValidationError } from './imageValidation.js';
+import { logger } from '../utils/logger.js';
+
+// Sharpness is measured on a copy scaled to this longest edge, so the blur
+// threshold means the same thing for a 12MP drone frame and a phone photo
+const ANALYSIS_SIZE = 1024;
+
+// Pixels at or beyond these grey levels count as blown out or crushed
+const HIGHLIGHT_LEVEL = 250;
+const SHADOW_LEVEL = 5;
+
+// Numeric threshold from the environment; 0 is a valid setting, so only unset or invalid values fall back
+const readThreshold = (name, fallback, parse = parseFloat) => {
+  const value = parse(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+};
+
+// Thresholds from the environment. "flag" keeps poor images but skips server detection at
+// upload (detections recorded later are marked), "reject" refuses the upload and "off" disables the gate.
+export const getQualityPolicy = () => ({
+  mode: ['flag', 'reject', 'off'].includes(process.env.QUALITY_GATE_MODE)
+    ? process.env.QUALITY_GATE_MODE
+    : 'flag',
+  minSharpness: readThreshold('QUALITY_MIN_SHARPNESS', 100),
+  minBrightness: readThreshold('QUALITY_MIN_BRIGHTNESS', 40),
+  maxBrightness: readThreshold('QUALITY_MAX_BRIGHTNESS', 220),
+  maxClippedRatio: readThreshold('QUALITY_MAX_CLIPPED_RATIO', 0.25),
+  minDimension: readThreshold('QUALITY_MIN_DIMENSION', 640, parseInt)
+});
+
+// What the farmer should do differently for each issue
+const RETAKE_ADVICE = {
+  BLURRY: 'The photo is blurry. Hold the camera steady or hover the drone before capturing.',
+  OVEREXPOSED: 'The photo is too bright. Avoid direct sunlight on the lens or shoot in shade.',
+  UNDEREXPOSED: 'The photo is too dark. Retake it in better light.',
+  LOW_RESOLUTION: 'The photo resolution is too low. Fly closer to the canopy or use a higher resolution.'
+};
+
+// Variance of the 4-neighbour Laplacian; low values mean few edges, i.e. blur
+const laplacianVariance = (pixels, width, height) => {
+  let sum = 0;
+  let sumSquares = 0;
+  let count = 0;
+
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const value = pixels[i - width] + pixels[i + width] + pixels[i - 1] + pixels[i + 1] - 4 * pixels[i];
+      sum += value;
+      sumSquares += value * value;
+      count++;
+    }
+  }
+
+  if (count === 0) return 0;
+  const mean = sum / count;
+  return sumSquares / count - mean * mean;
+};
+
+// Blur, exposure and resolution scores for an image file
+export const measureImageQuality = async (filePath) => {
+  const image = sharp(filePath).rotate();
+  const { width, height } = await image.metadata();
+
+  const { data, info } = await image
+    .resize(ANALYSIS_SIZE, ANALYSIS_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .greyscale()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  let total = 0;
+  let highlights = 0;
+  let shadows = 0;
+  for (const value of data) {
+    total += value;
+    if (value >= HIGHLIGHT_LEVEL) highlights++;
+    if (value <= SHADOW_LEVEL) shadows++;
+  }
+
+  return {
+    sharpness: laplacianVariance(data, info.width, info.height),
+    brightness: total / data.length,
+    overexposedRatio: highlights / data.length,
+    underexposedRatio: shadows / data.length,
+    width,
+    height
+  };
+};
+
+const findIssues = (scores, policy) => {
+  const issues = [];
+  if (scores.sharpness < policy.minSharpness) issues.push('BLURRY');
+  if (scores.brightness > policy.maxBrightness || scores.overexposedRatio > policy.maxClippedRatio) {
+    issues.push('OVEREXPOSED');
+  }
+  if (scores.brightness < policy.minBrightness || scores.underexposedRatio > policy.maxClippedRatio) {
+    issues.push('UNDEREXPOSED');
+  }
+  if (Math.min(scores.width, scores.height) < policy.minDimension) issues.push('LOW_RESOLUTION');
+  return issues;
+};
+
+// Score a validated upload and apply the quality gate. Returns the UploadHistory quality
+// fields, or null when the gate is off or the pixels can't be decoded (e.g. HEIC).
+export const assessImageQuality = async (file, policy = getQualityPolicy()) => {
+  if (policy.mode === 'off') return null;
+
+  let scores;
+  try {
+    scores = await measureImageQuality(file.path);
+  } catch (error) {
+    logger.warn('Image quality could not be measured', { filename: file.filename, error: error.message });
+    return null;
+  }
+
+  const issues = findIssues(scores, policy);
+  const advice = issues.map((issue) => RETAKE_ADVICE[issue]).join(' ');
+
+  if (issues.length > 0 && policy.mode === 'reject') {
+    throw new ImageValidationError(`Image quality is too low: ${advice}`, 'POOR_IMAGE_QUALITY');
+  }
+
+  if (issues.length > 0) {
+    logger.info('Low quality image flagged', { filename: file.filename, issues });
+  }
+
+  return {
+    ...scores,
+    status: issues.length > 0 ? 'flagged' : 'passed',
+    issues,
+    assessedAt: new Date()
+  };
+};
+
+// Quality summary in upload responses, telling the farmer whether to retake the photo
+export const formatQuality = (quality) => {
+  if (!quality?.status) return null;
+
+  return {
+    status: quality.status,
+    issues: quality.issues,
+    retake: quality.status === 'flagged',
+    message: quality.issues.map((issue) => RETAKE_ADVICE[issue]).join(' ') || null,
+    scores: {
+      sharpness: quality.sharpness,
+      brightness: quality.brightness,
+      overexposedRatio: quality.overexposedRatio,
+      underexposedRatio: quality.underexposedRatio,
+      width: quality.width,
+      height: quality.height
+    }
+  };
+};
@@ -0,0 +1,97 @@
+// FILE: server/src/services/imageValidation.js
+import fs from 'fs/promises';
+import path from 'path';
+import sharp from 'sharp';
+
+// Brands in the ISO-BMFF ftyp box that identify HEIC/HEIF stills
+const HEIF_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'];
+
+const SIGNATURE_BYTES = 32;
+
+export class ImageValidationError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'ImageValidationError';
+    this.code = code;
+    this.statusCode = 422;
+  }
+}
+
+// Identify the real image type from its leading bytes, ignoring what the client claimed
+export const detectImageType = (buffer) => {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return { mimetype: 'image/jpeg', extension: '.jpg' };
+  }
+
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return { mimetype: 'image/png', extension: '.png' };
+  }
+
+  if (buffer.length >= 12
+    && buffer.toString('ascii', 0, 4) === 'RIFF'
+    && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return { mimetype: 'image/webp', extension: '.webp' };
+  }
+
+  if (buffer.length >= 12
+    && buffer.toString('ascii', 4, 8) === 'ftyp'
+    && HEIF_BRANDS.includes(buffer.toString('ascii', 8, 12))) {
+    return { mimetype: 'image/heic', extension: '.heic' };
+  }
+
+  return null;
+};
+
+const readSignature = async (filePath) => {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(SIGNATURE_BYTES);
+    const { bytesRead } = await handle.read(buffer, 0, SIGNATURE_BYTES, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+};
+
+// Make sure the image actually decodes. HEIC pixel data usually can't be decoded by the
+// bundled libvips (no HEVC codec), so only its container header is parsed.
+const assertDecodable = async (filePath, type) => {
+  try {
+    const image = sharp(filePath, { failOn: 'error' });
+    const metadata = await image.metadata();
+
+    if (!metadata.width || !metadata.height) {
+      throw new Error('Missing image dimensions');
+    }
+
+    if (type.mimetype !== 'image/heic') {
+      await image.stats();
+    }
+  } catch (error) {
+    throw new ImageValidationError(`Image file is corrupt or truncated: ${error.message}`, 'CORRUPT_IMAGE');
+  }
+};
+
+// Verify a file saved by multer (or an equivalent object) and store it under the detected
+// extension. The file object is updated in place with the new filename, path and mimetype.
+export const validateImageFile = async (file) => {
+  const type = detectImageType(await readSignature(file.path));
+
+  if (!type) {
+    throw new ImageValidationError('File content is not a JPEG, PNG, WebP or HEIC image', 'INVALID_IMAGE_TYPE');
+  }
+
+  await assertDecodable(file.path, type);
+
+  const currentExtension = path.extname(file.filename);
+  if (currentExtension !== type.extension) {
+    const filename = path.basename(file.filename, currentExtension) + type.extension;
+    const filePath = path.join(path.dirname(file.path), filename);
+    await fs.rename(file.path, filePath);
+    file.filename = filename;
+    file.path = filePath;
+  }
+
+  file.mimetype = type.mimetype;
+  return file;
+};
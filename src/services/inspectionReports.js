@@ -0,0 +1,281 @@
+// FILE: server/src/services/inspectionReports.js
+import fs from 'fs';
+import path from 'path';
+import sharp from 'sharp';
+import { InspectionReport } from '../models/InspectionReport.js';
+import { UploadHistory } from '../models/UploadHistory.js';
+import { Recommendation, HEALTHY_DISEASE_KEY, SAFETY_DISCLAIMER } from '../models/Recommendation.js';
+import { Farm } from '../models/Farm.js';
+import { Field } from '../models/Field.js';
+import { Mission } from '../models/Mission.js';
+import { getStorageForRecord } from './storage/index.js';
+import { renderInspectionReport } from './reportRenderer.js';
+import { isAdviceReleased } from './reviewService.js';
+import { logger } from '../utils/logger.js';
+
+export const reportsDir = process.env.REPORTS_DIR
+  ? path.resolve(process.cwd(), process.env.REPORTS_DIR)
+  : path.join(process.cwd(), 'reports');
+if (!fs.existsSync(reportsDir)) {
+  fs.mkdirSync(reportsDir, { recursive: true });
+}
+
+// Finished reports can be downloaded for this long before cleanup removes them
+const REPORT_TTL_MS = parseInt(process.env.REPORT_TTL_MS) || 30 * 24 * 60 * 60 * 1000;
+
+// Thumbnails are embedded in the file, so the number of images per report is capped
+export const MAX_REPORT_UPLOADS = 500;
+
+const THUMBNAIL_SIZE = 320;
+
+export const getReportPath = (report) => path.join(reportsDir, `${report._id}.html`);
+
+const buildReportFilter = ({ uploads, from, to, farm, field, mission } = {}) => {
+  const filter = { fileMissingAt: null };
+
+  if (uploads?.length) filter._id = { $in: uploads };
+  if (farm) filter.farm = farm;
+  if (field) filter.field = field;
+  if (mission) filter.mission = mission;
+
+  if (from || to) {
+    filter.uploadedAt = {};
+    if (from) filter.uploadedAt.$gte = from;
+    if (to) filter.uploadedAt.$lte = to;
+  }
+
+  return filter;
+};
+
+// A reviewed label overrides the model prediction
+const effectiveLabel = (upload) => (
+  upload.review?.status === 'reviewed' && upload.review.verifiedLabel
+    ? upload.review.verifiedLabel
+    : upload.diseaseDetected
+);
+
+// Thumbnail as a data URI: the stored derivative, or one made from the original for older uploads
+const loadThumbnail = async (upload) => {
+  const storage = getStorageForRecord(upload);
+
+  try {
+    if (upload.derivatives?.thumbnail?.filename) {
+      const image = await storage.read(upload.derivatives.thumbnail.filename);
+      return `data:image/webp;base64,${image.toString('base64')}`;
+    }
+
+    const image = await sharp(await storage.read(upload.filename))
+      .rotate()
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .jpeg({ quality: 70 })
+      .toBuffer();
+    return `data:image/jpeg;base64,${image.toString('base64')}`;
+  } catch (error) {
+    logger.warn('Report thumbnail unavailable', { uploadId: upload._id, error: error.message });
+    return null;
+  }
+};
+
+const describeScope = async ({ farm, field, mission }) => {
+  const [farmDoc, fieldDoc, missionDoc] = await Promise.all([
+    farm ? Farm.findById(farm, 'name') : null,
+    field ? Field.findById(field, 'name code') : null,
+    mission ? Mission.findById(mission, 'droneId operator startTime') : null
+  ]);
+
+  return {
+    farm: farmDoc?.name || null,
+    field: fieldDoc ? [fieldDoc.name, fieldDoc.code].filter(Boolean).join(' / ') : null,
+    mission: missionDoc
+      ? `${missionDoc.droneId} (${missionDoc.operator}, ${missionDoc.startTime?.toISOString().slice(0, 10) || 'no date'})`
+      : null
+  };
+};
+
+// Gather uploads, thumbnails and guidance, then write the HTML report. Above the image cap the
+// report shows the earliest uploads and says how many matched in total.
+const writeReport = async (report) => {
+  const filter = buildReportFilter(report.filters);
+  const matchedCount = await UploadHistory.countDocuments(filter);
+  const uploads = await UploadHistory.find(filter)
+    .sort({ uploadedAt: 1 })
+    .limit(MAX_REPORT_UPLOADS)
+    .select('filename originalName storageDriver derivatives diseaseDetected confidence uploadedAt capture.capturedAt review.status review.verifiedLabel field tree')
+    .populate('field', 'name')
+    .populate('tree', 'code')
+    .lean();
+
+  const recommendations = await Recommendation.find({});
+  const guidance = new Map(recommendations.map((rec) => [rec.diseaseKey, rec.getSafeRecommendation()]));
+
+  const sections = new Map();
+  const unanalysed = [];
+  let missingImages = 0;
+
+  for (const upload of uploads) {
+    const thumbnail = await loadThumbnail(upload);
+    if (!thumbnail) missingImages++;
+
+    const label = effectiveLabel(upload);
+    const image = {
+      thumbnail,
+      name: upload.originalName || upload.filename,
+      // The model's confidence says nothing about a label an expert corrected
+      confidence: label === upload.diseaseDetected ? upload.confidence : null,
+      reviewed: upload.review?.status === 'reviewed',
+      awaitingReview: !!label && upload.review?.status !== 'reviewed',
+      adviceReleased: isAdviceReleased(upload),
+      capturedAt: upload.capture?.capturedAt || upload.uploadedAt,
+      place: [upload.field?.name, upload.tree?.code && `tree ${upload.tree.code}`].filter(Boolean).join(', ')
+    };
+
+    if (!label) {
+      unanalysed.push(image);
+      continue;
+    }
+
+    if (!sections.has(label)) {
+      sections.set(label, {
+        diseaseKey: label,
+        healthy: label === HEALTHY_DISEASE_KEY,
+        recommendation: guidance.get(label) || null,
+        images: []
+      });
+    }
+    sections.get(label).images.push(image);
+  }
+
+  // Most severe diseases first, healthy last
+  const rank = (section) => (section.healthy ? -2 : Recommendation.severityRank(section.recommendation?.severity));
+  const orderedSections = [...sections.values()]
+    .map((section) => {
+      const scored = section.images.filter((image) => typeof image.confidence === 'number');
+      return {
+        ...section,
+        averageConfidence: scored.length > 0
+          ? scored.reduce((sum, image) => sum + image.confidence, 0) / scored.length
+          : null,
+        reviewedCount: section.images.filter((image) => image.reviewed).length,
+        // Treatment steps are printed once at least one detection of the class is signed off
+        adviceReleased: section.images.some((image) => image.adviceReleased)
+      };
+    })
+    .sort((a, b) => rank(b) - rank(a) || b.images.length - a.images.length);
+
+  const healthy = sections.get(HEALTHY_DISEASE_KEY)?.images.length || 0;
+  const analysed = uploads.length - unanalysed.length;
+
+  const html = renderInspectionReport({
+    title: report.title,
+    generatedAt: new Date(),
+    from: report.filters.from || uploads[0]?.uploadedAt,
+    to: report.filters.to || uploads[uploads.length - 1]?.uploadedAt,
+    ...await describeScope(report.filters),
+    totals: { images: uploads.length, diseased: analysed - healthy, healthy, unanalysed: unanalysed.length },
+    matchedCount,
+    sections: orderedSections,
+    unanalysed,
+    disclaimer: SAFETY_DISCLAIMER
+  });
+
+  const partPath = `${getReportPath(report)}.part`;
+  try {
+    await fs.promises.writeFile(partPath, html);
+    await fs.promises.rename(partPath, getReportPath(report));
+  } catch (error) {
+    await fs.promises.rm(partPath, { force: true });
+    throw error;
+  }
+
+  return {
+    uploadCount: uploads.length,
+    matchedCount,
+    truncated: matchedCount > uploads.length,
+    missingImages,
+    size: Buffer.byteLength(html)
+  };
+};
+
+const runInspectionReport = async (id) => {
+  const report = await InspectionReport.findOneAndUpdate(
+    { _id: id, status: 'queued' },
+    { status: 'running', startedAt: new Date() },
+    { new: true }
+  );
+  if (!report) return;
+
+  try {
+    const { uploadCount, matchedCount, truncated, missingImages, size } = await writeReport(report);
+
+    report.set({
+      status: 'completed',
+      uploadCount,
+      matchedCount,
+      truncated,
+      missingImages,
+      size,
+      completedAt: new Date(),
+      expiresAt: new Date(Date.now() + REPORT_TTL_MS)
+    });
+    await report.save();
+
+    logger.info('Inspection report completed', { reportId: report._id, uploadCount, matchedCount, missingImages, size });
+  } catch (error) {
+    report.set({ status: 'failed', error: error.message, completedAt: new Date() });
+    await report.save();
+
+    logger.error('Inspection report failed', { reportId: report._id, error: error.message });
+  }
+};
+
+// Reports are generated one after another in the background, like dataset exports
+let reportQueue = Promise.resolve();
+
+const enqueueReport = (id) => {
+  reportQueue = reportQueue
+    .then(() => runInspectionReport(id))
+    .catch((error) => logger.error('Inspection report job crashed', { reportId: id, error: error.message }));
+};
+
+export const createInspectionReport = async ({ title, requestedBy = null, ...filters }) => {
+  const report = await InspectionReport.create({ title, filters, requestedBy });
+
+  logger.info('Inspection report queued', { reportId: report._id, filters });
+  enqueueReport(report._id);
+
+  return report;
+};
+
+// On startup, fail reports interrupted by a restart and pick up the ones still queued
+export const resumeInspectionReports = async () => {
+  const interrupted = await InspectionReport.updateMany(
+    { status: 'running' },
+    { status: 'failed', error: 'Interrupted by server restart', completedAt: new Date() }
+  );
+
+  const queued = await InspectionReport.find({ status: 'queued' }, '_id').sort({ createdAt: 1 });
+  queued.forEach((report) => enqueueReport(report._id));
+
+  return { interrupted: interrupted.modifiedCount, resumed: queued.length };
+};
+
+// Delete a report record together with its file
+export const deleteInspectionReport = async (report) => {
+  await fs.promises.rm(getReportPath(report), { force: true });
+  await report.deleteOne();
+};
+
+// Remove reports past their download window
+export const cleanupExpiredReports = async () => {
+  const expired = await InspectionReport.find({ expiresAt: { $lt: new Date() } });
+
+  for (const report of expired) {
+    await deleteInspectionReport(report);
+  }
+
+  if (expired.length > 0) {
+    logger.info('Expired inspection reports removed', { count: expired.length });
+  }
+
+  return { removed: expired.length };
+};
@@ -228,6 +228,7 @@ Generate agricultural guidance for ${diseaseName} in dalandan/citrus crops.
 ${context.severity ? `Detected severity: ${context.severity}` : ''}
 ${context.confidence ? `Model confidence: ${context.confidence}%` : ''}
 ${context.userContext ? `Additional context: ${context.userContext}` : ''}
+${context.weatherRisk ? this.formatWeatherRisk(context.weatherRisk) : ''}
 
 Provide a JSON response with this structure:
 {
@@ -245,9 +246,20 @@ RULES:
 - NO exact chemical dosages or mixing ratios
 - Focus on IPM and sanitation first
 - Recommend consulting DA office for chemical specifics
+${context.weatherRisk ? '- Tailor prevention and monitoring steps to the current weather risk' : ''}
 `;
   }
 
+  // Describe the farm's weather-based disease risk for the recommendation prompt
+  formatWeatherRisk(weatherRisk) {
+    const conditions = weatherRisk.conditions
+      .map((condition) => `- ${condition.description}: observed ${condition.value} (${condition.met ? 'met' : 'not met'})`)
+      .join('\n');
+
+    return `Current weather-based risk on this farm (${weatherRisk.date}): ${weatherRisk.level} (score ${weatherRisk.score})
+${conditions}`;
+  }
+
   // System prompt for recommendation generation
   getRecommendationSystemPrompt() {
     return `You are DalandanCare Assistant generating structured disease recommendations.
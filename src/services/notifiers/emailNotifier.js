@@ -0,0 +1,28 @@
+// FILE: server/src/services/notifiers/emailNotifier.js
+import nodemailer from 'nodemailer';
+
+// Sends plain-text email over SMTP. Without credentials it talks to an unauthenticated
+// local relay such as Mailpit or MailHog.
+export class EmailNotifier {
+  constructor({ host, port, secure, user, password, from }) {
+    this.name = 'email';
+    this.from = from;
+    this.transport = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      ...(user && { auth: { user, pass: password } })
+    });
+  }
+
+  async send({ target, subject, text }) {
+    const info = await this.transport.sendMail({
+      from: this.from,
+      to: target,
+      subject,
+      text
+    });
+
+    return { messageId: info.messageId };
+  }
+}
@@ -0,0 +1,61 @@
+// FILE: server/src/services/notifiers/index.js
+import { WebhookNotifier } from './webhookNotifier.js';
+import { EmailNotifier } from './emailNotifier.js';
+import { SmsNotifier } from './smsNotifier.js';
+import { logger } from '../../utils/logger.js';
+
+export const NOTIFIER_TYPES = ['webhook', 'email', 'sms'];
+
+const notifierFactories = {
+  webhook: () => new WebhookNotifier({
+    timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+    secret: process.env.WEBHOOK_SECRET || null
+  }),
+  email: () => new EmailNotifier({
+    host: process.env.SMTP_HOST || 'localhost',
+    port: parseInt(process.env.SMTP_PORT) || 1025,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    password: process.env.SMTP_PASSWORD,
+    from: process.env.SMTP_FROM || 'AgriDrone Alerts <alerts@agridrone.local>'
+  }),
+  sms: () => new SmsNotifier({
+    gatewayUrl: process.env.SMS_GATEWAY_URL || null,
+    apiKey: process.env.SMS_GATEWAY_API_KEY || null
+  })
+};
+
+const notifiers = new Map();
+
+// Swap in a different implementation for a channel type, e.g. a real SMS provider
+export const registerNotifier = (type, notifier) => {
+  notifiers.set(type, notifier);
+};
+
+// Notifiers are created on first use, like storage drivers
+export const getNotifier = (type) => {
+  if (!notifiers.has(type)) {
+    if (!notifierFactories[type]) {
+      throw new Error(`Unknown notifier: ${type}`);
+    }
+    notifiers.set(type, notifierFactories[type]());
+  }
+  return notifiers.get(type);
+};
+
+// Deliver a message to every channel; failures are reported per channel instead of thrown
+export const notifyChannels = async (channels, message) => {
+  const results = [];
+
+  for (const { type, target } of channels) {
+    try {
+      await getNotifier(type).send({ ...message, target });
+      results.push({ type, target, status: 'sent', at: new Date() });
+    } catch (error) {
+      logger.error('Notification delivery failed', { type, target, error: error.message });
+      results.push({ type, target, status: 'failed', error: error.message, at: new Date() });
+    }
+  }
+
+  return results;
+};
@@ -0,0 +1,41 @@
+// FILE: server/src/services/notifiers/smsNotifier.js
+import { logger } from '../../utils/logger.js';
+
+// SMS messages are capped to a single segment
+const MAX_SMS_LENGTH = 160;
+
+// Stub for an SMS gateway: POSTs { to, message } to SMS_GATEWAY_URL when configured,
+// otherwise only logs the message so alerts can be exercised without a provider
+export class SmsNotifier {
+  constructor({ gatewayUrl = null, apiKey = null, timeoutMs = 10000 } = {}) {
+    this.name = 'sms';
+    this.gatewayUrl = gatewayUrl;
+    this.apiKey = apiKey;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async send({ target, text }) {
+    const message = text.length > MAX_SMS_LENGTH ? `${text.slice(0, MAX_SMS_LENGTH - 1)}…` : text;
+
+    if (!this.gatewayUrl) {
+      logger.info('SMS gateway not configured, message logged only', { to: target, message });
+      return { stub: true };
+    }
+
+    const response = await fetch(this.gatewayUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey && { Authorization: `Bearer ${this.apiKey}` })
+      },
+      body: JSON.stringify({ to: target, message }),
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+
+    if (!response.ok) {
+      throw new Error(`SMS gateway responded with ${response.status}`);
+    }
+
+    return { status: response.status };
+  }
+}
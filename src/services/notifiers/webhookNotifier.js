@@ -0,0 +1,28 @@
+// FILE: server/src/services/notifiers/webhookNotifier.js
+
+// POSTs the notification as JSON to the target URL
+export class WebhookNotifier {
+  constructor({ timeoutMs = 10000, secret = null } = {}) {
+    this.name = 'webhook';
+    this.timeoutMs = timeoutMs;
+    this.secret = secret;
+  }
+
+  async send({ target, subject, text, payload }) {
+    const response = await fetch(target, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.secret && { 'X-AgriDrone-Secret': this.secret })
+      },
+      body: JSON.stringify({ subject, text, ...payload }),
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Webhook responded with ${response.status}`);
+    }
+
+    return { status: response.status };
+  }
+}
@@ -0,0 +1,187 @@
+// FILE: server/src/services/outbreakAlerts.js
+import { Alert } from '../models/Alert.js';
+import { AlertRule } from '../models/AlertRule.js';
+import { UploadHistory } from '../models/UploadHistory.js';
+import { Recommendation, HEALTHY_DISEASE_KEY } from '../models/Recommendation.js';
+import { notifyChannels } from './notifiers/index.js';
+import { logger } from '../utils/logger.js';
+
+const EARTH_RADIUS_KM = 6378.1;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Upper bound on the detections linked to a single alert
+const MAX_ALERT_UPLOADS = 1000;
+
+export class AlertError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.name = 'AlertError';
+    this.statusCode = statusCode;
+  }
+}
+
+const withinRadius = ([lon, lat], radiusKm) => ({
+  $geoWithin: { $centerSphere: [[lon, lat], radiusKm / EARTH_RADIUS_KM] }
+});
+
+// Disease keys a rule counts: its explicit list, or every disease at or above its minimum severity
+const resolveRuleDiseases = (rule, recommendations) => {
+  if (rule.diseases.length > 0) return rule.diseases;
+
+  const minRank = Recommendation.severityRank(rule.minSeverity);
+  return recommendations
+    .filter((rec) => rec.diseaseKey !== HEALTHY_DISEASE_KEY && Recommendation.severityRank(rec.severity) >= minRank)
+    .map((rec) => rec.diseaseKey);
+};
+
+const buildAlertMessage = (alert) => {
+  const [lon, lat] = alert.center.coordinates;
+  return {
+    subject: `[AgriDrone] Outbreak alert: ${alert.ruleName}`,
+    text: `${alert.detectionCount} detections of ${alert.diseaseKeys.join(', ')} within ${alert.radiusKm} km `
+      + `in the last ${alert.windowDays} days near ${lat.toFixed(5)}, ${lon.toFixed(5)}.`,
+    payload: {
+      event: 'outbreak.alert',
+      alertId: alert._id,
+      rule: alert.rule,
+      ruleName: alert.ruleName,
+      diseaseKeys: alert.diseaseKeys,
+      detectionCount: alert.detectionCount,
+      center: alert.center,
+      radiusKm: alert.radiusKm,
+      windowDays: alert.windowDays,
+      field: alert.field
+    }
+  };
+};
+
+// Send the alert through the rule's channels and keep the delivery report on the alert
+const deliverAlert = async (alert, rule) => {
+  if (rule.channels.length === 0) return;
+
+  const results = await notifyChannels(rule.channels, buildAlertMessage(alert));
+  alert.notifications.push(...results);
+  await alert.save();
+};
+
+const evaluateRule = async (rule, upload, recommendations) => {
+  const diseases = resolveRuleDiseases(rule, recommendations);
+  if (!diseases.includes(upload.diseaseDetected) || (upload.confidence ?? 0) < rule.minConfidence) {
+    return null;
+  }
+
+  const coordinates = upload.location.coordinates;
+  const matching = await UploadHistory.find({
+    location: withinRadius(coordinates, rule.radiusKm),
+    diseaseDetected: { $in: diseases },
+    confidence: { $gte: rule.minConfidence },
+    detectionAt: { $gte: new Date(Date.now() - rule.windowDays * DAY_MS) }
+  }, '_id diseaseDetected')
+    .sort({ detectionAt: -1 })
+    .limit(MAX_ALERT_UPLOADS);
+
+  if (matching.length < rule.minDetections) return null;
+
+  const diseaseKeys = [...new Set(matching.map((doc) => doc.diseaseDetected))].sort();
+
+  // Further detections in an area that already has an unresolved alert extend that alert
+  const existing = await Alert.findOne({
+    rule: rule._id,
+    status: { $ne: 'resolved' },
+    center: withinRadius(coordinates, rule.radiusKm)
+  }).sort({ createdAt: -1 });
+
+  if (existing) {
+    const uploads = new Set(existing.uploads.map(String));
+    matching.forEach((doc) => uploads.add(String(doc._id)));
+
+    existing.set({
+      uploads: [...uploads].slice(0, MAX_ALERT_UPLOADS),
+      detectionCount: Math.max(existing.detectionCount, matching.length),
+      diseaseKeys: [...new Set([...existing.diseaseKeys, ...diseaseKeys])].sort(),
+      lastDetectionAt: new Date()
+    });
+    await existing.save();
+    return null;
+  }
+
+  const alert = await Alert.create({
+    rule: rule._id,
+    ruleName: rule.name,
+    diseaseKeys,
+    center: { type: 'Point', coordinates },
+    radiusKm: rule.radiusKm,
+    windowDays: rule.windowDays,
+    detectionCount: matching.length,
+    uploads: matching.map((doc) => doc._id),
+    field: upload.field || null
+  });
+
+  logger.warn('Outbreak alert raised', {
+    alertId: alert._id,
+    rule: rule.name,
+    diseaseKeys,
+    detectionCount: matching.length
+  });
+
+  // Delivery runs in the background; the detection request doesn't wait for webhooks or SMTP
+  deliverAlert(alert, rule).catch((error) => {
+    logger.error('Alert delivery failed', { alertId: alert._id, error: error.message });
+  });
+
+  return alert;
+};
+
+// Check every enabled rule against a newly recorded detection and return the alerts it raised.
+// Failures are logged rather than thrown, since the detection itself has already been saved.
+export const evaluateAlertRules = async (upload) => {
+  if (!upload.location?.coordinates || !upload.diseaseDetected || upload.diseaseDetected === HEALTHY_DISEASE_KEY) {
+    return [];
+  }
+
+  try {
+    const rules = await AlertRule.find({ enabled: true });
+    if (rules.length === 0) return [];
+
+    const recommendations = await Recommendation.find({}, 'diseaseKey severity');
+    const raised = [];
+
+    for (const rule of rules) {
+      const alert = await evaluateRule(rule, upload, recommendations);
+      if (alert) raised.push(alert);
+    }
+
+    return raised;
+  } catch (error) {
+    logger.error('Alert rule evaluation failed', { uploadId: upload._id, error: error.message });
+    return [];
+  }
+};
+
+// Acknowledge an open alert: someone is looking into it
+export const acknowledgeAlert = async (alert, { by, notes }) => {
+  if (alert.status !== 'open') {
+    throw new AlertError(`Alert is already ${alert.status}`, 409);
+  }
+
+  alert.set({ status: 'acknowledged', acknowledgedBy: by, acknowledgedAt: new Date() });
+  if (notes) alert.notes = notes;
+  await alert.save();
+
+  logger.info('Alert acknowledged', { alertId: alert._id, by });
+  return alert;
+};
+
+// Resolve an open or acknowledged alert; new detections in the area raise a fresh alert
+export const resolveAlert = async (alert, { by, notes }) => {
+  if (alert.status === 'resolved') {
+    throw new AlertError('Alert is already resolved', 409);
+  }
+
+  alert.set({ status: 'resolved', resolvedBy: by, resolvedAt: new Date() });
+  if (notes) alert.notes = notes;
+  await alert.save();
+
+  logger.info('Alert resolved', { alertId: alert._id, by });
+  return alert;
+};
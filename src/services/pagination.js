@@ -0,0 +1,62 @@
+// FILE: server/src/services/pagination.js
+
+// Opaque keyset cursor: the last item's sort value and _id, base64url-encoded
+export const encodeCursor = (item, field) => {
+  const value = item[field] instanceof Date ? item[field].toISOString() : (item[field] ?? null);
+  return Buffer.from(JSON.stringify({ v: value, id: String(item._id) })).toString('base64url');
+};
+
+const OBJECT_ID_PATTERN = /^[0-9a-f]{24}$/i;
+
+// Sort values are only ever dates or numbers; anything else (e.g. {"$ne": null}) would be read as a query operator
+const isValidCursorValue = (value, isDate) => {
+  if (value === null) return true;
+  if (isDate) return typeof value === 'string' && !Number.isNaN(new Date(value).getTime());
+  return typeof value === 'number' && Number.isFinite(value);
+};
+
+// Decode a cursor from a query string; null when it is malformed or tampered with
+export const decodeCursor = (cursor, { isDate = false } = {}) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!decoded || typeof decoded.id !== 'string' || !OBJECT_ID_PATTERN.test(decoded.id) || !('v' in decoded)) {
+      return null;
+    }
+    if (!isValidCursorValue(decoded.v, isDate)) return null;
+    return { v: decoded.v, id: decoded.id };
+  } catch {
+    return null;
+  }
+};
+
+// Parse a sort parameter such as "-uploadedAt" into field and direction
+export const parseSort = (sort, defaultSort) => {
+  const value = sort || defaultSort;
+  return value.startsWith('-')
+    ? { field: value.slice(1), direction: -1 }
+    : { field: value, direction: 1 };
+};
+
+// Filter for the items after the cursor. MongoDB sorts null before any value,
+// so nulls come first in ascending order and last in descending order.
+export const buildCursorFilter = ({ field, direction }, cursor, { isDate = false, toId = (id) => id } = {}) => {
+  const id = toId(cursor.id);
+  const value = cursor.v !== null && isDate ? new Date(cursor.v) : cursor.v;
+  const after = direction === 1 ? '$gt' : '$lt';
+
+  if (value === null) {
+    return direction === 1
+      ? { $or: [{ [field]: null, _id: { $gt: id } }, { [field]: { $ne: null } }] }
+      : { [field]: null, _id: { $lt: id } };
+  }
+
+  const conditions = [
+    { [field]: { [after]: value } },
+    { [field]: value, _id: { [after]: id } }
+  ];
+  if (direction === -1) {
+    conditions.push({ [field]: null });
+  }
+
+  return { $or: conditions };
+};
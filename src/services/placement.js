@@ -0,0 +1,71 @@
+// FILE: server/src/services/placement.js
+import mongoose from 'mongoose';
+import { Field } from '../models/Field.js';
+import { Tree } from '../models/Tree.js';
+import { UploadHistory } from '../models/UploadHistory.js';
+import { logger } from '../utils/logger.js';
+
+export class PlacementError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.name = 'PlacementError';
+    this.statusCode = statusCode;
+  }
+}
+
+const findById = async (Model, id, label) => {
+  const doc = mongoose.isValidObjectId(id) ? await Model.findById(id) : null;
+  if (!doc) {
+    throw new PlacementError(`${label} not found`, 404);
+  }
+  return doc;
+};
+
+// Registry placement for an explicit fieldId and/or treeId. A tree implies its field and farm.
+// Returns an empty object when neither is given.
+export const resolvePlacement = async ({ fieldId, treeId } = {}) => {
+  if (treeId) {
+    const tree = await findById(Tree, treeId, 'Tree');
+    if (fieldId && String(tree.field) !== String(fieldId)) {
+      throw new PlacementError('Tree does not belong to the given field', 400);
+    }
+    return { farm: tree.farm, field: tree.field, tree: tree._id, placementSource: 'manual' };
+  }
+
+  if (fieldId) {
+    const field = await findById(Field, fieldId, 'Field');
+    return { farm: field.farm, field: field._id, tree: null, placementSource: 'manual' };
+  }
+
+  return {};
+};
+
+// Placement from a GPS point: the field whose boundary contains it, if any
+export const locatePlacement = async (location) => {
+  if (!location?.coordinates) return {};
+
+  const field = await Field.findContaining(location);
+  if (!field) return {};
+
+  return { farm: field.farm, field: field._id, tree: null, placementSource: 'auto' };
+};
+
+// Assign uploads that have no placement yet and were taken inside the field boundary,
+// e.g. after a block is registered for an orchard that was already flown
+export const assignUploadsToField = async (field) => {
+  if (!field.boundary) {
+    throw new PlacementError('Field has no boundary', 400);
+  }
+
+  const result = await UploadHistory.updateMany(
+    {
+      field: null,
+      location: { $geoWithin: { $geometry: field.boundary.toObject() } }
+    },
+    { farm: field.farm, field: field._id, placementSource: 'auto' }
+  );
+
+  logger.info('Uploads assigned to field', { fieldId: field._id, assigned: result.modifiedCount });
+
+  return { assigned: result.modifiedCount };
+};
@@ -0,0 +1,184 @@
+// FILE: server/src/services/prevalenceAnalytics.js
+import mongoose from 'mongoose';
+import { UploadHistory } from '../models/UploadHistory.js';
+import { Farm } from '../models/Farm.js';
+import { HEALTHY_DISEASE_KEY } from '../models/Recommendation.js';
+
+export const PREVALENCE_INTERVALS = ['day', 'week', 'month'];
+
+export const DEFAULT_TOP_FIELDS = 10;
+
+// Period labels (UTC): 2026-03-14, ISO week 2026-W11, 2026-03
+const PERIOD_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m'
+};
+
+const ratio = (numerator, denominator) => (denominator > 0 ? numerator / denominator : null);
+
+// A reviewed label overrides the model prediction
+const effectiveLabel = {
+  $cond: [
+    { $and: [{ $eq: ['$review.status', 'reviewed'] }, { $ne: [{ $ifNull: ['$review.verifiedLabel', null] }, null] }] },
+    '$review.verifiedLabel',
+    '$diseaseDetected'
+  ]
+};
+
+// Detections in the date range, limited to the farms of a region when one is given
+const buildPrevalenceMatch = async ({ from, to, region, farm } = {}) => {
+  const match = { diseaseDetected: { $ne: null } };
+
+  const detectionAt = { $ne: null };
+  if (from) detectionAt.$gte = new Date(from);
+  if (to) detectionAt.$lte = new Date(to);
+  match.detectionAt = detectionAt;
+
+  if (region) {
+    const farms = await Farm.find({ region }, '_id');
+    const ids = farms.map((doc) => doc._id);
+    match.farm = { $in: farm ? ids.filter((id) => String(id) === String(farm)) : ids };
+  } else if (farm) {
+    // Aggregation pipelines don't cast, so IDs from the query string are converted here
+    match.farm = new mongoose.Types.ObjectId(farm);
+  }
+
+  return match;
+};
+
+const describeFilters = ({ from, to, region, farm } = {}) => ({
+  from: from || null,
+  to: to || null,
+  region: region || null,
+  farm: farm || null
+});
+
+// Detection counts per disease for each day, ISO week or month
+export const computePrevalenceSeries = async (query = {}) => {
+  const interval = PREVALENCE_INTERVALS.includes(query.interval) ? query.interval : 'day';
+
+  const rows = await UploadHistory.aggregate([
+    { $match: await buildPrevalenceMatch(query) },
+    {
+      $group: {
+        _id: {
+          period: { $dateToString: { format: PERIOD_FORMATS[interval], date: '$detectionAt' } },
+          diseaseKey: effectiveLabel
+        },
+        count: { $sum: 1 }
+      }
+    },
+    { $sort: { '_id.period': 1, '_id.diseaseKey': 1 } }
+  ]);
+
+  const periods = new Map();
+  for (const { _id, count } of rows) {
+    if (!periods.has(_id.period)) {
+      periods.set(_id.period, { period: _id.period, total: 0, counts: {} });
+    }
+    const entry = periods.get(_id.period);
+    entry.counts[_id.diseaseKey] = count;
+    entry.total += count;
+  }
+
+  return {
+    filters: { ...describeFilters(query), interval },
+    diseaseKeys: [...new Set(rows.map((row) => row._id.diseaseKey))].sort(),
+    series: [...periods.values()]
+  };
+};
+
+// Healthy vs diseased share and average confidence, overall and per disease
+export const computePrevalenceSummary = async (query = {}) => {
+  const rows = await UploadHistory.aggregate([
+    { $match: await buildPrevalenceMatch(query) },
+    {
+      $group: {
+        _id: effectiveLabel,
+        count: { $sum: 1 },
+        confidenceSum: { $sum: { $ifNull: ['$confidence', 0] } },
+        withConfidence: { $sum: { $cond: [{ $isNumber: '$confidence' }, 1, 0] } }
+      }
+    },
+    { $sort: { count: -1 } }
+  ]);
+
+  const total = rows.reduce((sum, row) => sum + row.count, 0);
+  const healthy = rows.find((row) => row._id === HEALTHY_DISEASE_KEY)?.count || 0;
+  const confidenceSum = rows.reduce((sum, row) => sum + row.confidenceSum, 0);
+  const withConfidence = rows.reduce((sum, row) => sum + row.withConfidence, 0);
+
+  return {
+    filters: describeFilters(query),
+    total,
+    healthy,
+    diseased: total - healthy,
+    healthyShare: ratio(healthy, total),
+    diseasedShare: ratio(total - healthy, total),
+    averageConfidence: ratio(confidenceSum, withConfidence),
+    diseases: rows.map((row) => ({
+      diseaseKey: row._id,
+      count: row.count,
+      share: ratio(row.count, total),
+      averageConfidence: ratio(row.confidenceSum, row.withConfidence)
+    }))
+  };
+};
+
+// Registered fields with the most diseased detections
+export const computeTopAffectedFields = async (query = {}) => {
+  const limit = parseInt(query.limit) || DEFAULT_TOP_FIELDS;
+  const match = await buildPrevalenceMatch(query);
+
+  const rows = await UploadHistory.aggregate([
+    { $match: { ...match, field: { $ne: null } } },
+    { $project: { field: 1, farm: 1, label: effectiveLabel } },
+    {
+      $group: {
+        _id: { field: '$field', label: '$label' },
+        farm: { $first: '$farm' },
+        count: { $sum: 1 }
+      }
+    },
+    {
+      $group: {
+        _id: '$_id.field',
+        farm: { $first: '$farm' },
+        total: { $sum: '$count' },
+        diseased: { $sum: { $cond: [{ $eq: ['$_id.label', HEALTHY_DISEASE_KEY] }, 0, '$count'] } },
+        labels: { $push: { diseaseKey: '$_id.label', count: '$count' } }
+      }
+    },
+    { $match: { diseased: { $gt: 0 } } },
+    { $sort: { diseased: -1, total: -1 } },
+    { $limit: limit },
+    { $lookup: { from: 'fields', localField: '_id', foreignField: '_id', as: 'field' } },
+    { $lookup: { from: 'farms', localField: 'farm', foreignField: '_id', as: 'farm' } }
+  ]);
+
+  return {
+    filters: { ...describeFilters(query), limit },
+    fields: rows.map((row) => {
+      const diseases = row.labels
+        .filter((entry) => entry.diseaseKey !== HEALTHY_DISEASE_KEY)
+        .sort((a, b) => b.count - a.count);
+
+      return {
+        field: {
+          id: row._id,
+          name: row.field[0]?.name || null,
+          code: row.field[0]?.code || null
+        },
+        farm: row.farm[0]
+          ? { id: row.farm[0]._id, name: row.farm[0].name, region: row.farm[0].region }
+          : null,
+        total: row.total,
+        diseased: row.diseased,
+        diseasedShare: ratio(row.diseased, row.total),
+        topDisease: diseases[0]?.diseaseKey || null,
+        diseases
+      };
+    })
+  };
+};
@@ -0,0 +1,170 @@
+// FILE: server/src/services/progression.js
+import { UploadHistory } from '../models/UploadHistory.js';
+import { Recommendation, HEALTHY_DISEASE_KEY } from '../models/Recommendation.js';
+
+export const DEFAULT_TREND_WINDOW = 3;
+
+// Change in mean severity level between scans that counts as a real trend
+const TREND_THRESHOLD = 0.5;
+
+const MAX_TIMELINE_UPLOADS = 5000;
+
+// Severity level per class: healthy is 0, diseases are 1-3 from their Recommendation severity
+const loadSeverityLevels = async () => {
+  const recommendations = await Recommendation.find({}, 'diseaseKey displayName severity');
+  return new Map(recommendations.map((rec) => [rec.diseaseKey, {
+    displayName: rec.displayName,
+    severity: rec.severity,
+    level: rec.diseaseKey === HEALTHY_DISEASE_KEY ? 0 : Recommendation.severityRank(rec.severity) + 1
+  }]));
+};
+
+// A reviewed label overrides the model prediction
+const effectiveLabel = (upload) => (
+  upload.review?.status === 'reviewed' && upload.review.verifiedLabel
+    ? upload.review.verifiedLabel
+    : upload.diseaseDetected
+);
+
+const dayKey = (date) => date.toISOString().slice(0, 10);
+
+// Group detections into one scan per day
+const buildScans = (uploads, levels) => {
+  const byDay = new Map();
+  for (const upload of uploads) {
+    const key = dayKey(upload.detectionAt);
+    if (!byDay.has(key)) byDay.set(key, []);
+    byDay.get(key).push(upload);
+  }
+
+  return [...byDay.entries()].map(([date, group]) => {
+    const classCounts = {};
+    let levelSum = 0;
+    let confidenceSum = 0;
+
+    for (const upload of group) {
+      const label = effectiveLabel(upload);
+      classCounts[label] = (classCounts[label] || 0) + 1;
+      levelSum += levels.get(label)?.level ?? 0;
+      confidenceSum += upload.confidence || 0;
+    }
+
+    const byLevel = (key) => levels.get(key)?.level ?? 0;
+    // Most frequent class; ties go to the more severe one
+    const dominant = Object.keys(classCounts)
+      .sort((a, b) => classCounts[b] - classCounts[a] || byLevel(b) - byLevel(a))[0];
+    const worst = Object.keys(classCounts).sort((a, b) => byLevel(b) - byLevel(a))[0];
+
+    return {
+      date,
+      images: group.length,
+      classCounts,
+      dominant,
+      worst: {
+        diseaseKey: worst,
+        displayName: levels.get(worst)?.displayName || null,
+        severity: levels.get(worst)?.severity || null
+      },
+      severityScore: levelSum / group.length,
+      averageConfidence: confidenceSum / group.length,
+      uploads: group.map((upload) => ({
+        id: upload._id,
+        diseaseKey: effectiveLabel(upload),
+        confidence: upload.confidence,
+        reviewed: upload.review?.status === 'reviewed',
+        detectionAt: upload.detectionAt,
+        thumbnailUrl: upload.thumbnailUrl
+      }))
+    };
+  });
+};
+
+// Healthy to a high-severity disease (greening, canker) is the event extension workers must act on first
+const transitionPriority = (from, to, levels) => {
+  const toInfo = levels.get(to);
+  if (from === HEALTHY_DISEASE_KEY && toInfo?.severity === 'high') return 'high';
+  if ((toInfo?.level ?? 0) > (levels.get(from)?.level ?? 0)) return 'medium';
+  return 'low';
+};
+
+// Changes between consecutive scans: the dominant class switching, and high-severity
+// classes appearing that a majority-healthy block would otherwise hide
+const findEvents = (scans, levels) => {
+  const events = [];
+
+  for (let i = 1; i < scans.length; i++) {
+    const previous = scans[i - 1];
+    const current = scans[i];
+
+    if (current.dominant !== previous.dominant) {
+      events.push({
+        type: 'transition',
+        date: current.date,
+        from: previous.dominant,
+        to: current.dominant,
+        priority: transitionPriority(previous.dominant, current.dominant, levels)
+      });
+    }
+
+    for (const diseaseKey of Object.keys(current.classCounts)) {
+      if (diseaseKey === current.dominant || previous.classCounts[diseaseKey]) continue;
+      if (levels.get(diseaseKey)?.severity !== 'high') continue;
+
+      events.push({
+        type: 'new-detection',
+        date: current.date,
+        from: previous.dominant,
+        to: diseaseKey,
+        images: current.classCounts[diseaseKey],
+        priority: transitionPriority(previous.dominant, diseaseKey, levels)
+      });
+    }
+  }
+
+  return events;
+};
+
+// Compare the latest scan with the average of the earlier scans in the window
+const computeTrend = (scans, window) => {
+  const recent = scans.slice(-window);
+  if (recent.length < 2) {
+    return { direction: 'insufficient-data', delta: null, window };
+  }
+
+  const latest = recent[recent.length - 1].severityScore;
+  const earlier = recent.slice(0, -1);
+  const baseline = earlier.reduce((sum, scan) => sum + scan.severityScore, 0) / earlier.length;
+  const delta = latest - baseline;
+
+  let direction = 'stable';
+  if (delta >= TREND_THRESHOLD) direction = 'worsening';
+  if (delta <= -TREND_THRESHOLD) direction = 'improving';
+
+  return { direction, delta, window };
+};
+
+// Chronological detection history for uploads matching the filter (a tree or a field)
+export const buildProgressionTimeline = async (filter, { from, to, window } = {}) => {
+  const detectionAt = { $ne: null };
+  if (from) detectionAt.$gte = new Date(from);
+  if (to) detectionAt.$lte = new Date(to);
+
+  // Newest first so a long history keeps its most recent scans, then back to chronological order
+  const [newestFirst, levels] = await Promise.all([
+    UploadHistory.find({ ...filter, detectionAt })
+      .sort({ detectionAt: -1 })
+      .limit(MAX_TIMELINE_UPLOADS)
+      .select('filename derivatives diseaseDetected confidence detectionAt review.status review.verifiedLabel'),
+    loadSeverityLevels()
+  ]);
+
+  const scans = buildScans(newestFirst.reverse(), levels);
+  const events = findEvents(scans, levels);
+
+  return {
+    scans,
+    events,
+    trend: computeTrend(scans, parseInt(window) || DEFAULT_TREND_WINDOW),
+    highPriority: events.some((event) => event.priority === 'high')
+  };
+};
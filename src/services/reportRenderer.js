@@ -0,0 +1,165 @@
+// FILE: server/src/services/reportRenderer.js
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '—');
+
+const formatPercent = (value) => (typeof value === 'number' ? `${Math.round(value * 100)}%` : '—');
+
+// Self-contained stylesheet; the report has no external assets so it prints and archives as one file
+const STYLES = `
+  * { box-sizing: border-box; }
+  body { font-family: Arial, Helvetica, sans-serif; color: #1f2933; margin: 24px; font-size: 12pt; }
+  h1 { font-size: 20pt; margin: 0 0 4px; }
+  h2 { font-size: 15pt; margin: 0 0 6px; }
+  h3 { font-size: 12pt; margin: 12px 0 4px; }
+  table { border-collapse: collapse; width: 100%; margin: 8px 0 16px; }
+  th, td { border: 1px solid #cbd2d9; padding: 4px 8px; text-align: left; }
+  th { background: #f0f4f8; }
+  ul { margin: 4px 0 8px; padding-left: 20px; }
+  .meta { color: #52606d; margin-bottom: 16px; }
+  .section { border-top: 2px solid #323f4b; padding-top: 12px; margin-top: 20px; page-break-inside: avoid; }
+  .severity { display: inline-block; padding: 1px 8px; border-radius: 10px; font-size: 10pt; color: #fff; }
+  .severity-high { background: #ba2525; }
+  .severity-medium { background: #cb6e17; }
+  .severity-low { background: #3f9142; }
+  .grid { display: flex; flex-wrap: wrap; gap: 8px; margin-top: 8px; }
+  .image { width: 160px; border: 1px solid #cbd2d9; padding: 4px; font-size: 9pt; page-break-inside: avoid; }
+  .image img { width: 100%; height: 120px; object-fit: cover; display: block; }
+  .image .missing { height: 120px; background: #e4e7eb; display: flex; align-items: center; justify-content: center; }
+  .escalate { background: #fff3c4; border-left: 4px solid #cb6e17; padding: 6px 10px; }
+  .unconfirmed { color: #8d2b0b; font-style: italic; }
+  .awaiting { background: #f0f4f8; border-left: 4px solid #52606d; padding: 6px 10px; }
+  .disclaimer { margin-top: 24px; padding: 8px 12px; border: 1px solid #9aa5b1; font-style: italic; }
+  @media print {
+    body { margin: 0; }
+    .section { page-break-before: auto; }
+  }
+`;
+
+const renderList = (items) => (items?.length
+  ? `<ul>${items.map((item) => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`
+  : '<p>—</p>');
+
+const renderImage = (image) => `
+  <div class="image">
+    ${image.thumbnail
+    ? `<img src="${image.thumbnail}" alt="${escapeHtml(image.name)}">`
+    : '<div class="missing">Image unavailable</div>'}
+    <div><strong>${escapeHtml(formatPercent(image.confidence))}</strong>${image.reviewed ? ' · expert verified' : ''}</div>
+    ${image.awaitingReview ? '<div class="unconfirmed">Awaiting expert confirmation</div>' : ''}
+    <div>${escapeHtml(formatDate(image.capturedAt))}${image.place ? ` · ${escapeHtml(image.place)}` : ''}</div>
+    <div>${escapeHtml(image.name)}</div>
+  </div>`;
+
+const renderGuidance = (recommendation) => {
+  if (!recommendation) {
+    return '<p>No guidance is on record for this class. Consult your local agriculture office.</p>';
+  }
+
+  return `
+    <p>${escapeHtml(recommendation.summary)}</p>
+    <h3>Treatment steps</h3>
+    ${renderList(recommendation.treatmentSteps)}
+    <h3>Prevention steps</h3>
+    ${renderList(recommendation.preventionSteps)}
+    <div class="escalate">
+      <h3>When to escalate</h3>
+      ${renderList(recommendation.whenToEscalate)}
+    </div>`;
+};
+
+// Detections nobody has signed off on yet get no treatment steps, only a note to wait for the expert
+const renderSectionAdvice = (section) => {
+  if (section.healthy) return '';
+  if (!section.adviceReleased) {
+    return `
+    <div class="awaiting">
+      <strong>Awaiting expert confirmation.</strong> None of these detections has been confirmed by an
+      expert yet, so no treatment advice is included. Contact your DA office before treating.
+    </div>`;
+  }
+
+  const pending = section.images.length - section.reviewedCount;
+  return `
+    ${pending > 0 ? `<p class="unconfirmed">${pending} of ${section.images.length} image(s) awaiting expert confirmation.</p>` : ''}
+    ${renderGuidance(section.recommendation)}`;
+};
+
+const renderSection = (section) => {
+  const recommendation = section.recommendation;
+  const severity = section.healthy ? null : recommendation?.severity;
+
+  return `
+  <div class="section">
+    <h2>${escapeHtml(recommendation?.displayName || section.diseaseKey)}
+      ${severity ? `<span class="severity severity-${escapeHtml(severity)}">${escapeHtml(severity)} severity</span>` : ''}
+    </h2>
+    <p>${section.images.length} image(s), average confidence ${escapeHtml(formatPercent(section.averageConfidence))}</p>
+    ${renderSectionAdvice(section)}
+    <div class="grid">${section.images.map(renderImage).join('')}</div>
+  </div>`;
+};
+
+// Print-ready HTML for an inspection report assembled by the report job
+export const renderInspectionReport = (report) => {
+  const scope = [
+    report.farm && `Farm: ${report.farm}`,
+    report.field && `Field: ${report.field}`,
+    report.mission && `Mission: ${report.mission}`,
+    `Period: ${formatDate(report.from)} to ${formatDate(report.to)}`
+  ].filter(Boolean);
+
+  const summaryRows = report.sections.map((section) => `
+    <tr>
+      <td>${escapeHtml(section.recommendation?.displayName || section.diseaseKey)}</td>
+      <td>${escapeHtml(section.recommendation?.severity || '—')}</td>
+      <td>${section.images.length}</td>
+      <td>${escapeHtml(formatPercent(section.averageConfidence))}</td>
+      <td>${section.reviewedCount} of ${section.images.length}</td>
+    </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(report.title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+  <h1>${escapeHtml(report.title)}</h1>
+  <div class="meta">
+    ${scope.map((line) => `<div>${escapeHtml(line)}</div>`).join('')}
+    <div>Generated: ${escapeHtml(new Date(report.generatedAt).toISOString().replace('T', ' ').slice(0, 16))} UTC</div>
+  </div>
+
+  <h2>Summary</h2>
+  <table>
+    <thead><tr><th>Detected class</th><th>Severity</th><th>Images</th><th>Average confidence</th><th>Expert confirmed</th></tr></thead>
+    <tbody>${summaryRows}</tbody>
+  </table>
+  <p>${report.totals.images} image(s) inspected: ${report.totals.diseased} with a disease detected,
+    ${report.totals.healthy} healthy, ${report.totals.unanalysed} not analysed.</p>
+  ${report.matchedCount > report.totals.images ? `
+  <p class="escalate">Showing the first ${report.totals.images} of ${report.matchedCount} matching images.
+    Narrow the date range or filters to cover the rest.</p>` : ''}
+
+  ${report.sections.map(renderSection).join('')}
+
+  ${report.unanalysed.length > 0 ? `
+  <div class="section">
+    <h2>Not analysed</h2>
+    <p>These images have no detection result yet, e.g. because they were too blurry or dark to classify.</p>
+    <div class="grid">${report.unanalysed.map(renderImage).join('')}</div>
+  </div>` : ''}
+
+  <div class="disclaimer">${escapeHtml(report.disclaimer)}</div>
+</body>
+</html>
+`;
+};
@@ -0,0 +1,216 @@
+// FILE: server/src/services/resumableUpload.js
+import fs from 'fs';
+import path from 'path';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { UploadSession } from '../models/UploadSession.js';
+import { uploadsDir, generateUploadFilename } from '../middleware/upload.js';
+import { recordUpload, discardUploadedFile } from './uploadService.js';
+import { logger } from '../utils/logger.js';
+
+export const partialUploadsDir = process.env.UPLOAD_PARTIAL_DIR
+  ? path.resolve(process.cwd(), process.env.UPLOAD_PARTIAL_DIR)
+  : path.join(process.cwd(), 'uploads-partial');
+if (!fs.existsSync(partialUploadsDir)) {
+  fs.mkdirSync(partialUploadsDir, { recursive: true });
+}
+
+// Sessions expire this long after their last received chunk
+const SESSION_TTL_MS = parseInt(process.env.UPLOAD_SESSION_TTL_MS) || 24 * 60 * 60 * 1000;
+
+// Chunks for the same session are appended one at a time
+const activeSessions = new Set();
+
+export class UploadSessionError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.name = 'UploadSessionError';
+    this.statusCode = statusCode;
+  }
+}
+
+const getPartPath = (session) => path.join(partialUploadsDir, `${session._id}.part`);
+
+const nextExpiry = () => new Date(Date.now() + SESSION_TTL_MS);
+
+// Find a session that is still open for writing
+export const findActiveSession = async (id) => {
+  const session = await UploadSession.findById(id);
+  if (!session || session.expiresAt < new Date()) {
+    throw new UploadSessionError('Upload session not found or expired', 404);
+  }
+  if (session.finalizing) {
+    throw new UploadSessionError('Upload session is being finalized', 409);
+  }
+  return session;
+};
+
+export const createSession = async ({ originalName, mimetype, size, mission = null }) => {
+  const session = await UploadSession.create({
+    originalName,
+    mimetype,
+    size,
+    mission,
+    expiresAt: nextExpiry()
+  });
+
+  await fs.promises.writeFile(getPartPath(session), '');
+
+  logger.info('Resumable upload session created', { sessionId: session._id, size });
+
+  return session;
+};
+
+// Refuse bytes beyond the declared upload length
+const createLengthGuard = (maxBytes) => {
+  let received = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (received > maxBytes) {
+        callback(new UploadSessionError('Chunk exceeds the declared upload size', 413));
+      } else {
+        callback(null, chunk);
+      }
+    }
+  });
+};
+
+// Append a request body at the given offset; the stored offset always reflects bytes on disk
+export const appendChunk = async (session, offset, stream) => {
+  if (offset !== session.offset) {
+    throw new UploadSessionError(`Offset mismatch: expected ${session.offset}`, 409);
+  }
+
+  const sessionId = String(session._id);
+  if (activeSessions.has(sessionId)) {
+    throw new UploadSessionError('Another chunk is already being written for this session', 423);
+  }
+  activeSessions.add(sessionId);
+
+  const partPath = getPartPath(session);
+  let writeError = null;
+
+  try {
+    await pipeline(
+      stream,
+      createLengthGuard(session.size - session.offset),
+      fs.createWriteStream(partPath, { flags: 'a' })
+    );
+  } catch (error) {
+    // Keep whatever arrived before the connection dropped so the client can resume from there
+    writeError = error;
+  } finally {
+    try {
+      const { size } = await fs.promises.stat(partPath);
+      session.offset = Math.min(size, session.size);
+      session.expiresAt = nextExpiry();
+      await session.save();
+    } finally {
+      activeSessions.delete(sessionId);
+    }
+  }
+
+  if (writeError) {
+    logger.warn('Upload chunk interrupted', {
+      sessionId,
+      offset: session.offset,
+      error: writeError.message
+    });
+    throw writeError instanceof UploadSessionError
+      ? writeError
+      : new UploadSessionError('Upload interrupted, resume from the current offset', 400);
+  }
+
+  return session;
+};
+
+// Errors that mean the received bytes can never be recorded (invalid image, conflicting
+// duplicate), as opposed to transient failures worth another /complete
+const isRejectedUpload = (error) => [400, 409, 415, 422].includes(error.statusCode);
+
+// Link (or copy) the assembled file into the uploads directory and record it like a regular
+// upload. The part file is only removed once the upload is recorded, so a transient failure
+// leaves the session intact for another /complete; a rejected file aborts the session.
+export const finalizeSession = async (session) => {
+  if (!session.isComplete()) {
+    throw new UploadSessionError(`Upload incomplete: ${session.offset} of ${session.size} bytes received`, 409);
+  }
+
+  // Concurrent /complete requests race for the claim; only the winner records the file
+  const claimed = await UploadSession.findOneAndUpdate(
+    { _id: session._id, finalizing: { $ne: true } },
+    { finalizing: true },
+    { new: true }
+  );
+  if (!claimed) {
+    throw new UploadSessionError('Upload session is being finalized', 409);
+  }
+
+  const filename = generateUploadFilename('image', '');
+  // recordUpload renames the file to its detected extension and updates this object in place
+  const file = {
+    fieldname: 'image',
+    originalname: claimed.originalName,
+    filename,
+    path: path.join(uploadsDir, filename),
+    size: claimed.size,
+    mimetype: claimed.mimetype
+  };
+
+  let uploadRecord;
+  try {
+    try {
+      await fs.promises.link(getPartPath(claimed), file.path);
+    } catch (error) {
+      // Partial uploads may live on a different volume than the uploads directory
+      if (error.code !== 'EXDEV') throw error;
+      await fs.promises.copyFile(getPartPath(claimed), file.path);
+    }
+
+    uploadRecord = await recordUpload(file, { mission: claimed.mission });
+  } catch (error) {
+    await discardUploadedFile(file);
+
+    if (isRejectedUpload(error)) {
+      await abortSession(claimed);
+    } else {
+      await UploadSession.updateOne({ _id: claimed._id }, { finalizing: false });
+    }
+
+    logger.warn('Resumable upload could not be finalized', {
+      sessionId: claimed._id,
+      aborted: isRejectedUpload(error),
+      error: error.message
+    });
+    throw error;
+  }
+
+  await fs.promises.rm(getPartPath(claimed), { force: true });
+  await claimed.deleteOne();
+
+  logger.info('Resumable upload finalized', { sessionId: claimed._id, uploadId: uploadRecord._id });
+
+  return uploadRecord;
+};
+
+export const abortSession = async (session) => {
+  await fs.promises.rm(getPartPath(session), { force: true });
+  await session.deleteOne();
+};
+
+// Garbage-collect sessions that stopped receiving chunks
+export const cleanupExpiredSessions = async () => {
+  const expired = await UploadSession.find({ expiresAt: { $lt: new Date() } });
+
+  for (const session of expired) {
+    if (activeSessions.has(String(session._id))) continue;
+    await abortSession(session);
+  }
+
+  if (expired.length > 0) {
+    logger.info('Expired upload sessions removed', { count: expired.length });
+  }
+
+  return { removed: expired.length };
+};
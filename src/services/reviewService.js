@@ -0,0 +1,113 @@
+// FILE: server/src/services/reviewService.js
+import { logger } from '../utils/logger.js';
+
+// Detections below either threshold count as uncertain in the review queue
+export const REVIEW_CONFIDENCE_THRESHOLD = parseFloat(process.env.REVIEW_CONFIDENCE_THRESHOLD) || 0.7;
+export const REVIEW_MARGIN_THRESHOLD = parseFloat(process.env.REVIEW_MARGIN_THRESHOLD) || 0.2;
+
+// Treatment advice for a detection only goes out once a DA technician has signed off on it
+export const REQUIRE_EXPERT_REVIEW = process.env.REQUIRE_EXPERT_REVIEW !== 'false';
+
+export const AWAITING_REVIEW_MESSAGE = 'Awaiting expert confirmation';
+
+// Whether treatment advice may be given for an upload's detection
+export const isAdviceReleased = (uploadRecord) => (
+  !REQUIRE_EXPERT_REVIEW || uploadRecord?.review?.status === 'reviewed'
+);
+
+export class ReviewError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.name = 'ReviewError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Records stored before reviews existed have no review status and count as pending
+const statusFilter = (status) => (
+  status === 'pending'
+    ? { 'review.status': { $in: ['pending', null] } }
+    : { 'review.status': status }
+);
+
+// Filter for the review queue: detected uploads with the given status,
+// optionally narrowed to uncertain predictions
+export const buildReviewQueueFilter = ({ status = 'pending', lowConfidence } = {}) => {
+  const filter = {
+    detectionAt: { $ne: null },
+    ...statusFilter(status)
+  };
+
+  if (String(lowConfidence) === 'true') {
+    filter.$or = [
+      { confidence: { $lt: REVIEW_CONFIDENCE_THRESHOLD } },
+      { predictionMargin: { $lt: REVIEW_MARGIN_THRESHOLD } }
+    ];
+  }
+
+  return filter;
+};
+
+const appendHistory = (uploadRecord, event) => {
+  uploadRecord.review.history = [...(uploadRecord.review.history || []), event];
+};
+
+// Confirm or correct the detected label. Pending and disputed detections can be
+// reviewed; a reviewed detection has to be disputed before it is reviewed again.
+export const submitReview = async (uploadRecord, { verifiedLabel, reviewer, notes = '' }) => {
+  if (!uploadRecord.detectionAt) {
+    throw new ReviewError('Upload has no detection to review', 409);
+  }
+  if (uploadRecord.review?.status === 'reviewed') {
+    throw new ReviewError('Detection is already reviewed; dispute it to request another review', 409);
+  }
+
+  const reviewedAt = new Date();
+  uploadRecord.set({
+    'review.status': 'reviewed',
+    'review.verifiedLabel': verifiedLabel,
+    'review.predictedLabel': uploadRecord.diseaseDetected,
+    'review.predictedConfidence': uploadRecord.confidence,
+    'review.reviewer': reviewer,
+    'review.notes': notes,
+    'review.reviewedAt': reviewedAt
+  });
+  appendHistory(uploadRecord, { status: 'reviewed', verifiedLabel, reviewer, notes, at: reviewedAt });
+  await uploadRecord.save();
+
+  logger.info('Detection reviewed', {
+    uploadId: uploadRecord._id,
+    reviewer,
+    predicted: uploadRecord.diseaseDetected,
+    verifiedLabel
+  });
+
+  return uploadRecord;
+};
+
+// Flag a reviewed label as wrong; the verified label stays until it is reviewed again
+export const disputeReview = async (uploadRecord, { reviewer, notes }) => {
+  if (uploadRecord.review?.status !== 'reviewed') {
+    throw new ReviewError('Only reviewed detections can be disputed', 409);
+  }
+
+  uploadRecord.set('review.status', 'disputed');
+  appendHistory(uploadRecord, { status: 'disputed', verifiedLabel: null, reviewer, notes, at: new Date() });
+  await uploadRecord.save();
+
+  logger.info('Detection review disputed', { uploadId: uploadRecord._id, reviewer });
+
+  return uploadRecord;
+};
+
+// Review fields returned by the review endpoints
+export const formatReview = (uploadRecord) => ({
+  status: uploadRecord.review?.status || 'pending',
+  verifiedLabel: uploadRecord.review?.verifiedLabel || null,
+  predictedLabel: uploadRecord.review?.predictedLabel || null,
+  predictedConfidence: uploadRecord.review?.predictedConfidence ?? null,
+  reviewer: uploadRecord.review?.reviewer || null,
+  notes: uploadRecord.review?.notes || '',
+  reviewedAt: uploadRecord.review?.reviewedAt || null,
+  history: uploadRecord.review?.history || []
+});
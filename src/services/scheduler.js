@@ -0,0 +1,68 @@
+// FILE: server/src/services/scheduler.js
+import { logger } from '../utils/logger.js';
+
+// Minimal in-process interval scheduler for maintenance jobs
+class Scheduler {
+  constructor() {
+    this.jobs = new Map();
+  }
+
+  // Register a job; a run is skipped while the previous one is still in progress
+  schedule(name, intervalMs, task, { runOnStart = false } = {}) {
+    if (this.jobs.has(name)) {
+      throw new Error(`Job already scheduled: ${name}`);
+    }
+
+    const job = { name, intervalMs, task, running: false, lastRunAt: null, lastError: null };
+    job.timer = setInterval(() => this.run(name), intervalMs);
+    // Scheduled jobs must not keep the process alive during shutdown
+    job.timer.unref();
+    this.jobs.set(name, job);
+
+    logger.info('Scheduled job registered', { job: name, intervalMs });
+
+    if (runOnStart) {
+      setImmediate(() => this.run(name));
+    }
+  }
+
+  async run(name) {
+    const job = this.jobs.get(name);
+    if (!job || job.running) return;
+
+    job.running = true;
+    const startTime = Date.now();
+
+    try {
+      const result = await job.task();
+      job.lastError = null;
+      logger.debug('Scheduled job completed', { job: name, duration: Date.now() - startTime, result });
+    } catch (error) {
+      job.lastError = error.message;
+      logger.error('Scheduled job failed', { job: name, error: error.message });
+    } finally {
+      job.running = false;
+      job.lastRunAt = new Date();
+    }
+  }
+
+  stopAll() {
+    for (const job of this.jobs.values()) {
+      clearInterval(job.timer);
+    }
+    this.jobs.clear();
+  }
+
+  // Job status for health/system endpoints
+  getStatus() {
+    return Array.from(this.jobs.values()).map(({ name, intervalMs, running, lastRunAt, lastError }) => ({
+      name,
+      intervalMs,
+      running,
+      lastRunAt,
+      lastError
+    }));
+  }
+}
+
+export const scheduler = new Scheduler();
@@ -77,6 +77,13 @@ const seedRecommendations = [
       'Avoid working in grove when leaves are wet'
     ],
     severity: 'medium',
+    followUpDays: 28,
+    // Infection needs rain splash and long leaf wetness in warm weather
+    riskRules: [
+      { variable: 'rainfallMm', aggregate: 'sum', lookbackDays: 3, min: 10, weight: 2, description: 'At least 10mm of rain over the last 3 days' },
+      { variable: 'humidityPct', aggregate: 'mean', lookbackDays: 3, min: 80, weight: 1, description: 'Average humidity of 80% or more over the last 3 days' },
+      { variable: 'temperatureC', aggregate: 'mean', lookbackDays: 3, min: 20, max: 32, weight: 1, description: 'Average temperature between 20 and 32°C' }
+    ],
     whenToEscalate: [
       'If spots continue spreading despite treatment after 4-6 weeks',
       'If fruit quality is significantly affected',
@@ -124,6 +131,13 @@ const seedRecommendations = [
       'Regular monitoring and early detection programs'
     ],
     severity: 'high',
+    followUpDays: 14,
+    // Bacteria spread with wind-driven rain and multiply fastest in hot, humid weather
+    riskRules: [
+      { variable: 'rainfallMm', aggregate: 'sum', lookbackDays: 3, min: 20, weight: 2, description: 'At least 20mm of rain over the last 3 days' },
+      { variable: 'temperatureC', aggregate: 'mean', lookbackDays: 1, min: 25, max: 35, weight: 1, description: 'Average temperature between 25 and 35°C today' },
+      { variable: 'humidityPct', aggregate: 'mean', lookbackDays: 3, min: 75, weight: 1, description: 'Average humidity of 75% or more over the last 3 days' }
+    ],
     whenToEscalate: [
       'Immediately - this is a quarantine disease in many areas',
       'Contact local agricultural extension office for diagnosis confirmation',
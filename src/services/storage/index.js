@@ -0,0 +1,49 @@
+// FILE: server/src/services/storage/index.js
+import { uploadsDir } from '../../middleware/upload.js';
+import { LocalStorageDriver } from './localStorage.js';
+import { S3StorageDriver } from './s3Storage.js';
+import { DERIVATIVE_SIZES } from '../imageDerivatives.js';
+
+export { StorageNotFoundError, isValidKey, isUploadKey, getContentType } from './keys.js';
+
+const driverFactories = {
+  local: () => new LocalStorageDriver({
+    rootDir: uploadsDir
+  }),
+  s3: () => new S3StorageDriver({
+    bucket: process.env.S3_BUCKET,
+    region: process.env.S3_REGION,
+    endpoint: process.env.S3_ENDPOINT,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    // MinIO and most self-hosted S3 stand-ins need path-style URLs
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== 'false',
+    prefix: process.env.S3_PREFIX || ''
+  })
+};
+
+const drivers = new Map();
+
+// Drivers are created on first use so an unused S3 configuration is never validated
+export const getStorageDriver = (name) => {
+  if (!driverFactories[name]) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+  if (!drivers.has(name)) {
+    drivers.set(name, driverFactories[name]());
+  }
+  return drivers.get(name);
+};
+
+export const getDefaultStorage = () => getStorageDriver(process.env.STORAGE_DRIVER || 'local');
+
+// Records created before storage drivers existed live on local disk
+export const getStorageForRecord = (uploadRecord) => getStorageDriver(uploadRecord.storageDriver || 'local');
+
+// Every storage key belonging to an upload: the original plus its derivatives
+export const getUploadKeys = (uploadRecord) => [
+  uploadRecord.filename,
+  ...Object.keys(DERIVATIVE_SIZES)
+    .map((name) => uploadRecord.derivatives?.[name]?.filename)
+    .filter(Boolean)
+];
@@ -0,0 +1,40 @@
+// FILE: server/src/services/storage/keys.js
+import path from 'path';
+
+// Keys are flat filenames; anything that could escape the storage root is rejected
+const KEY_PATTERN = /^[A-Za-z0-9_-][A-Za-z0-9._-]*$/;
+
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.heic': 'image/heic',
+  '.gif': 'image/gif'
+};
+
+export class StorageNotFoundError extends Error {
+  constructor(key) {
+    super(`Stored file not found: ${key}`);
+    this.name = 'StorageNotFoundError';
+    this.statusCode = 404;
+  }
+}
+
+// Keys the upload pipeline generates (see generateUploadFilename): image-1700000000000-123456789.jpg
+// and derivatives such as image-1700000000000-123456789.thumbnail.webp
+const UPLOAD_KEY_PATTERN = /^[A-Za-z]+-\d+-\d+(\.[A-Za-z0-9]+){0,2}$/;
+
+export const isValidKey = (key) => typeof key === 'string' && KEY_PATTERN.test(key) && key.length <= 255;
+
+export const isUploadKey = (key) => isValidKey(key) && UPLOAD_KEY_PATTERN.test(key);
+
+export const assertValidKey = (key) => {
+  if (!isValidKey(key)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+};
+
+export const getContentType = (key) => (
+  CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream'
+);
@@ -0,0 +1,95 @@
+// FILE: server/src/services/storage/localStorage.js
+import fs from 'fs';
+import path from 'path';
+import { assertValidKey, StorageNotFoundError } from './keys.js';
+
+// Stores objects as plain files in a directory on local disk
+export class LocalStorageDriver {
+  constructor({ rootDir }) {
+    this.name = 'local';
+    this.rootDir = rootDir;
+
+    if (!fs.existsSync(this.rootDir)) {
+      fs.mkdirSync(this.rootDir, { recursive: true });
+    }
+  }
+
+  resolve(key) {
+    assertValidKey(key);
+    return path.join(this.rootDir, key);
+  }
+
+  // Store a local file (moved into place) or a Buffer under the key
+  async store(key, source) {
+    const target = this.resolve(key);
+
+    if (Buffer.isBuffer(source)) {
+      await fs.promises.writeFile(target, source);
+      return;
+    }
+
+    if (path.resolve(source) === target) return;
+
+    try {
+      await fs.promises.rename(source, target);
+    } catch (error) {
+      if (error.code !== 'EXDEV') throw error;
+      await fs.promises.copyFile(source, target);
+      await fs.promises.rm(source, { force: true });
+    }
+  }
+
+  async read(key) {
+    try {
+      return await fs.promises.readFile(this.resolve(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') throw new StorageNotFoundError(key);
+      throw error;
+    }
+  }
+
+  async getStream(key) {
+    const filePath = this.resolve(key);
+    let stats;
+    try {
+      stats = await fs.promises.stat(filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') throw new StorageNotFoundError(key);
+      throw error;
+    }
+
+    if (!stats.isFile()) throw new StorageNotFoundError(key);
+
+    return {
+      stream: fs.createReadStream(filePath),
+      size: stats.size,
+      lastModified: stats.mtime
+    };
+  }
+
+  async exists(key) {
+    try {
+      const stats = await fs.promises.stat(this.resolve(key));
+      return stats.isFile();
+    } catch {
+      return false;
+    }
+  }
+
+  async delete(key) {
+    await fs.promises.rm(this.resolve(key), { force: true });
+  }
+
+  // Iterate stored objects as { key, lastModified }, skipping hidden files and subdirectories
+  async *list() {
+    const entries = await fs.promises.readdir(this.rootDir, { withFileTypes: true });
+    for (const entry of entries) {
+      if (entry.isFile() && !entry.name.startsWith('.')) {
+        const stats = await fs.promises.stat(path.join(this.rootDir, entry.name)).catch(() => null);
+        if (stats) {
+          yield { key: entry.name, lastModified: stats.mtime };
+        }
+      }
+    }
+  }
+}
@@ -0,0 +1,125 @@
+// FILE: server/src/services/storage/s3Storage.js
+import fs from 'fs';
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command
+} from '@aws-sdk/client-s3';
+import { assertValidKey, getContentType, StorageNotFoundError } from './keys.js';
+
+const isNotFound = (error) => error.name === 'NoSuchKey'
+  || error.name === 'NotFound'
+  || error.$metadata?.httpStatusCode === 404;
+
+// Stores objects in an S3-compatible bucket (AWS S3, MinIO, ...)
+export class S3StorageDriver {
+  constructor({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle, prefix = '' }) {
+    if (!bucket) {
+      throw new Error('S3 storage requires S3_BUCKET to be set');
+    }
+
+    this.name = 's3';
+    this.bucket = bucket;
+    this.prefix = prefix;
+    this.client = new S3Client({
+      region: region || 'us-east-1',
+      endpoint: endpoint || undefined,
+      forcePathStyle,
+      credentials: accessKeyId && secretAccessKey
+        ? { accessKeyId, secretAccessKey }
+        : undefined
+    });
+  }
+
+  objectKey(key) {
+    assertValidKey(key);
+    return `${this.prefix}${key}`;
+  }
+
+  // Upload a local file (removed afterwards) or a Buffer under the key
+  async store(key, source) {
+    const isBuffer = Buffer.isBuffer(source);
+    const body = isBuffer ? source : fs.createReadStream(source);
+    const contentLength = isBuffer ? source.length : (await fs.promises.stat(source)).size;
+
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key),
+      Body: body,
+      ContentLength: contentLength,
+      ContentType: getContentType(key)
+    }));
+
+    if (!isBuffer) {
+      await fs.promises.rm(source, { force: true });
+    }
+  }
+
+  async read(key) {
+    const { stream } = await this.getStream(key);
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+
+  async getStream(key) {
+    try {
+      const result = await this.client.send(new GetObjectCommand({
+        Bucket: this.bucket,
+        Key: this.objectKey(key)
+      }));
+
+      return {
+        stream: result.Body,
+        size: result.ContentLength,
+        lastModified: result.LastModified
+      };
+    } catch (error) {
+      if (isNotFound(error)) throw new StorageNotFoundError(key);
+      throw error;
+    }
+  }
+
+  async exists(key) {
+    try {
+      await this.client.send(new HeadObjectCommand({
+        Bucket: this.bucket,
+        Key: this.objectKey(key)
+      }));
+      return true;
+    } catch (error) {
+      if (isNotFound(error)) return false;
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    await this.client.send(new DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key)
+    }));
+  }
+
+  // Iterate stored objects as { key, lastModified }
+  async *list() {
+    let continuationToken;
+    do {
+      const result = await this.client.send(new ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: this.prefix || undefined,
+        ContinuationToken: continuationToken
+      }));
+
+      for (const object of result.Contents || []) {
+        yield { key: object.Key.slice(this.prefix.length), lastModified: object.LastModified };
+      }
+
+      continuationToken = result.IsTruncated ? result.NextContinuationToken : undefined;
+    } while (continuationToken);
+  }
+}
@@ -0,0 +1,99 @@
+// FILE: server/src/services/storageMigration.js
+import { UploadHistory } from '../models/UploadHistory.js';
+import { getStorageDriver, getUploadKeys } from './storage/index.js';
+import { logger } from '../utils/logger.js';
+
+// Copy every upload (original and derivatives) from one storage backend to another
+export const migrateStorage = async ({ from, to, deleteSource = false, dryRun = false }) => {
+  if (from === to) {
+    throw new Error('Source and target storage drivers must differ');
+  }
+
+  const source = getStorageDriver(from);
+  const target = getStorageDriver(to);
+
+  // Records created before storage drivers existed have no storageDriver and live on local disk
+  const filter = from === 'local'
+    ? { $or: [{ storageDriver: 'local' }, { storageDriver: { $exists: false } }] }
+    : { storageDriver: from };
+
+  const stats = { migrated: 0, missing: 0, failed: 0 };
+  const cursor = UploadHistory.find(filter).cursor();
+
+  for await (const uploadRecord of cursor) {
+    try {
+      const keys = getUploadKeys(uploadRecord);
+      let missing = false;
+
+      for (const key of keys) {
+        if (!await source.exists(key)) {
+          // A missing derivative is tolerable; a missing original is not
+          if (key === uploadRecord.filename) missing = true;
+          continue;
+        }
+        if (!dryRun) {
+          await target.store(key, await source.read(key));
+        }
+      }
+
+      if (missing) {
+        stats.missing++;
+        logger.warn('Original missing from source storage, skipping', {
+          uploadId: uploadRecord._id,
+          key: uploadRecord.filename
+        });
+        continue;
+      }
+
+      if (!dryRun) {
+        uploadRecord.storageDriver = to;
+        uploadRecord.path = uploadRecord.filename;
+        await uploadRecord.save();
+
+        if (deleteSource) {
+          for (const key of keys) {
+            await source.delete(key);
+          }
+        }
+      }
+
+      stats.migrated++;
+    } catch (error) {
+      stats.failed++;
+      logger.error('Failed to migrate upload', { uploadId: uploadRecord._id, error: error.message });
+    }
+  }
+
+  logger.info('Storage migration finished', { from, to, dryRun, ...stats });
+
+  return stats;
+};
+
+// Run migration if called directly:
+//   node src/services/storageMigration.js --from local --to s3 [--delete-source] [--dry-run]
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const args = process.argv.slice(2);
+  const option = (name) => {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : undefined;
+  };
+
+  const options = {
+    from: option('--from') || 'local',
+    to: option('--to') || process.env.STORAGE_DRIVER,
+    deleteSource: args.includes('--delete-source'),
+    dryRun: args.includes('--dry-run')
+  };
+
+  import('../config/database.js').then(async ({ default: connectDB }) => {
+    try {
+      await connectDB();
+      const result = await migrateStorage(options);
+      console.log('✅ Storage migration completed:', result);
+      process.exit(result.failed > 0 ? 1 : 0);
+    } catch (error) {
+      console.error('❌ Storage migration failed:', error.message);
+      process.exit(1);
+    }
+  });
+}
@@ -0,0 +1,104 @@
+// FILE: server/src/services/treatmentLog.js
+import mongoose from 'mongoose';
+import { TreatmentAction } from '../models/TreatmentAction.js';
+import { Recommendation } from '../models/Recommendation.js';
+import { UploadHistory } from '../models/UploadHistory.js';
+import { resolvePlacement } from './placement.js';
+import { logger } from '../utils/logger.js';
+
+export class TreatmentError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.name = 'TreatmentError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Field, tree and farm for the action: explicit IDs win, otherwise the linked upload's placement
+const resolveActionPlacement = async ({ fieldId, treeId }, upload) => {
+  const placement = await resolvePlacement({ fieldId, treeId });
+  if (placement.field) return placement;
+
+  if (upload?.field) {
+    return { farm: upload.farm, field: upload.field, tree: upload.tree };
+  }
+
+  throw new TreatmentError('Treatment actions must be linked to a field, tree or placed upload', 400);
+};
+
+// The action text: a recommended treatment step by index, or free text
+const resolveActionText = async ({ diseaseKey, stepIndex, action }) => {
+  if (stepIndex === undefined || stepIndex === null) {
+    return { action, stepIndex: null, source: 'custom' };
+  }
+
+  const recommendation = await Recommendation.findOne({ diseaseKey }, 'treatmentSteps');
+  const step = recommendation?.treatmentSteps?.[stepIndex];
+  if (!step) {
+    throw new TreatmentError(`No treatment step ${stepIndex} for ${diseaseKey}`, 400);
+  }
+
+  return { action: step, stepIndex, source: 'recommendation' };
+};
+
+// Record an action taken in response to a detection
+export const logTreatmentAction = async ({
+  uploadId,
+  fieldId,
+  treeId,
+  diseaseKey,
+  stepIndex,
+  action,
+  performedAt,
+  performedBy,
+  productCategory = null,
+  notes = ''
+}) => {
+  let upload = null;
+  if (uploadId) {
+    upload = mongoose.isValidObjectId(uploadId) ? await UploadHistory.findById(uploadId) : null;
+    if (!upload) {
+      throw new TreatmentError('Upload record not found', 404);
+    }
+  }
+
+  const placement = await resolveActionPlacement({ fieldId, treeId }, upload);
+
+  const treatmentAction = await TreatmentAction.create({
+    farm: placement.farm,
+    field: placement.field,
+    tree: placement.tree || null,
+    upload: upload?._id || null,
+    diseaseKey,
+    ...await resolveActionText({ diseaseKey, stepIndex, action }),
+    performedAt: performedAt || new Date(),
+    performedBy,
+    productCategory,
+    notes
+  });
+
+  logger.info('Treatment action logged', {
+    treatmentActionId: treatmentAction._id,
+    fieldId: treatmentAction.field,
+    diseaseKey,
+    source: treatmentAction.source
+  });
+
+  return treatmentAction;
+};
+
+// Build a TreatmentAction filter from validated query parameters
+export const buildTreatmentFilter = ({ field, tree, diseaseKey, from, to } = {}) => {
+  const filter = {};
+  if (field) filter.field = field;
+  if (tree) filter.tree = tree;
+  if (diseaseKey) filter.diseaseKey = diseaseKey;
+
+  if (from || to) {
+    filter.performedAt = {};
+    if (from) filter.performedAt.$gte = new Date(from);
+    if (to) filter.performedAt.$lte = new Date(to);
+  }
+
+  return filter;
+};
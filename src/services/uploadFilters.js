@@ -0,0 +1,68 @@
+// FILE: server/src/services/uploadFilters.js
+
+const EARTH_RADIUS_METERS = 6378100;
+const DEFAULT_RADIUS_METERS = 1000;
+
+// Build an UploadHistory filter from validated detection query parameters
+export const buildDetectionFilter = (query = {}) => {
+  const filter = {};
+
+  if (query.disease) {
+    filter.diseaseDetected = { $in: String(query.disease).split(',') };
+  }
+
+  if (query.minConfidence !== undefined || query.maxConfidence !== undefined) {
+    filter.confidence = {};
+    if (query.minConfidence !== undefined) filter.confidence.$gte = parseFloat(query.minConfidence);
+    if (query.maxConfidence !== undefined) filter.confidence.$lte = parseFloat(query.maxConfidence);
+  }
+
+  if (query.detected !== undefined) {
+    filter.detectionAt = String(query.detected) === 'true' ? { $ne: null } : null;
+  }
+
+  if (query.from || query.to) {
+    filter.uploadedAt = {};
+    if (query.from) filter.uploadedAt.$gte = new Date(query.from);
+    if (query.to) filter.uploadedAt.$lte = new Date(query.to);
+  }
+
+  return filter;
+};
+
+// Add bounding box or radius constraints on the upload location
+export const buildSpatialFilter = (query = {}) => {
+  if (query.bbox) {
+    const [minLon, minLat, maxLon, maxLat] = String(query.bbox).split(',').map(Number);
+    return {
+      location: {
+        $geoWithin: {
+          $geometry: {
+            type: 'Polygon',
+            coordinates: [[
+              [minLon, minLat],
+              [maxLon, minLat],
+              [maxLon, maxLat],
+              [minLon, maxLat],
+              [minLon, minLat]
+            ]]
+          }
+        }
+      }
+    };
+  }
+
+  if (query.near) {
+    const [lon, lat] = String(query.near).split(',').map(Number);
+    const radius = parseFloat(query.radius) || DEFAULT_RADIUS_METERS;
+    return {
+      location: {
+        $geoWithin: {
+          $centerSphere: [[lon, lat], radius / EARTH_RADIUS_METERS]
+        }
+      }
+    };
+  }
+
+  return { location: { $exists: true } };
+};
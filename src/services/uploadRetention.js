@@ -0,0 +1,129 @@
+// FILE: server/src/services/uploadRetention.js
+import { UploadHistory } from '../models/UploadHistory.js';
+import { HEALTHY_DISEASE_KEY } from '../models/Recommendation.js';
+import { getDefaultStorage, getUploadKeys, isUploadKey } from './storage/index.js';
+import { deleteUpload } from './uploadService.js';
+import { logger } from '../utils/logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Retention policy from the environment; a retention of 0 days disables age-based deletion
+export const getRetentionPolicy = () => ({
+  retentionDays: parseInt(process.env.UPLOAD_RETENTION_DAYS) || 0,
+  keepDiseased: process.env.UPLOAD_RETENTION_KEEP_DISEASED !== 'false',
+  batchSize: parseInt(process.env.UPLOAD_RETENTION_BATCH_SIZE) || 1000,
+  // Unreferenced files younger than this may still be mid-upload
+  orphanGraceMs: parseInt(process.env.UPLOAD_ORPHAN_GRACE_MS) || DAY_MS,
+  // Orphans are only reported unless deletion is switched on
+  deleteOrphans: process.env.UPLOAD_ORPHAN_DELETE === 'true'
+});
+
+// Delete uploads older than the retention period, optionally keeping disease images.
+// Reviewed uploads are never deleted: they are the ground truth for accuracy metrics and dataset exports.
+export const enforceRetentionPolicy = async (policy = getRetentionPolicy()) => {
+  if (!policy.retentionDays) {
+    return { deleted: 0, skipped: true };
+  }
+
+  const cutoff = new Date(Date.now() - policy.retentionDays * DAY_MS);
+  const filter = { uploadedAt: { $lt: cutoff }, 'review.status': { $ne: 'reviewed' } };
+
+  // With reviewed uploads excluded, the model prediction is the effective label of everything left
+  if (policy.keepDiseased) {
+    filter.diseaseDetected = { $in: [null, HEALTHY_DISEASE_KEY] };
+  }
+
+  const expired = await UploadHistory.find(filter)
+    .sort({ uploadedAt: 1 })
+    .limit(policy.batchSize);
+
+  let deleted = 0;
+  for (const uploadRecord of expired) {
+    try {
+      await deleteUpload(uploadRecord);
+      deleted++;
+    } catch (error) {
+      logger.error('Failed to delete expired upload', { uploadId: uploadRecord._id, error: error.message });
+    }
+  }
+
+  if (deleted > 0) {
+    logger.info('Upload retention policy applied', { deleted, cutoff, keepDiseased: policy.keepDiseased });
+  }
+
+  return { deleted, cutoff };
+};
+
+// Compare stored files with upload records: find (and optionally delete) unreferenced upload files
+// and flag records whose original is gone. Only keys in the upload filename format count as
+// orphans, so other objects sharing the bucket or directory are never touched.
+export const reconcileStorage = async (policy = getRetentionPolicy()) => {
+  const storage = getDefaultStorage();
+
+  const referencedKeys = new Set();
+  // Records created before storage drivers existed have no storageDriver and live on local disk
+  const filter = storage.name === 'local'
+    ? { $or: [{ storageDriver: 'local' }, { storageDriver: { $exists: false } }] }
+    : { storageDriver: storage.name };
+  const records = UploadHistory.find(filter, 'filename derivatives fileMissingAt').cursor();
+  const recordsByKey = new Map();
+
+  for await (const uploadRecord of records) {
+    for (const key of getUploadKeys(uploadRecord)) {
+      referencedKeys.add(key);
+    }
+    recordsByKey.set(uploadRecord.filename, uploadRecord);
+  }
+
+  const storedKeys = new Set();
+  const orphanCutoff = Date.now() - policy.orphanGraceMs;
+  let orphansFound = 0;
+  let orphansDeleted = 0;
+
+  for await (const { key, lastModified } of storage.list()) {
+    storedKeys.add(key);
+
+    if (isUploadKey(key) && !referencedKeys.has(key)
+      && lastModified && new Date(lastModified).getTime() < orphanCutoff) {
+      orphansFound++;
+      if (policy.deleteOrphans) {
+        await storage.delete(key);
+        orphansDeleted++;
+      }
+    }
+  }
+
+  let missingFiles = 0;
+  let restoredFiles = 0;
+  for (const [key, uploadRecord] of recordsByKey) {
+    const isMissing = !storedKeys.has(key);
+    if (isMissing && !uploadRecord.fileMissingAt) {
+      await UploadHistory.updateOne({ _id: uploadRecord._id }, { fileMissingAt: new Date() });
+      missingFiles++;
+    } else if (!isMissing && uploadRecord.fileMissingAt) {
+      await UploadHistory.updateOne({ _id: uploadRecord._id }, { fileMissingAt: null });
+      restoredFiles++;
+    }
+  }
+
+  if (orphansFound > 0 || missingFiles > 0 || restoredFiles > 0) {
+    logger.warn('Storage reconciliation found inconsistencies', {
+      driver: storage.name,
+      orphansFound,
+      orphansDeleted,
+      missingFiles,
+      restoredFiles
+    });
+  }
+
+  return { orphansFound, orphansDeleted, missingFiles, restoredFiles };
+};
+
+// Scheduled maintenance: retention first, then reconciliation
+export const runUploadMaintenance = async () => {
+  const policy = getRetentionPolicy();
+  return {
+    retention: await enforceRetentionPolicy(policy),
+    reconciliation: await reconcileStorage(policy)
+  };
+};
@@ -0,0 +1,472 @@
+// FILE: server/src/services/uploadService.js
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { UploadHistory } from '../models/UploadHistory.js';
+import { TreatmentAction } from '../models/TreatmentAction.js';
+import { Alert } from '../models/Alert.js';
+import { FollowUpTask } from '../models/FollowUpTask.js';
+import { diseaseClassifier } from './diseaseClassifier.js';
+import { extractImageMetadata } from './exifService.js';
+import { generateDerivatives, removeDerivatives } from './imageDerivatives.js';
+import { validateImageFile } from './imageValidation.js';
+import { assessImageQuality, formatQuality } from './imageQuality.js';
+import { locatePlacement } from './placement.js';
+import { processScanFollowUps, scheduleFollowUp } from './followUps.js';
+import { evaluateAlertRules } from './outbreakAlerts.js';
+import { getDefaultStorage, getStorageForRecord, getUploadKeys } from './storage/index.js';
+import { logger } from '../utils/logger.js';
+
+// Difference between the two highest class probabilities
+export const computePredictionMargin = (probabilities) => {
+  const values = Object.values(probabilities || {}).sort((a, b) => b - a);
+  if (values.length === 0) return null;
+  return values[0] - (values[1] ?? 0);
+};
+
+// Detection fields for an UploadHistory record, from the server classifier or a client report
+export const buildDetectionFields = ({
+  diseaseKey,
+  label = null,
+  confidence,
+  probabilities = null,
+  model = null,
+  modelVersion = null,
+  runtime = null,
+  inferenceTimeMs = null
+}, source) => ({
+  diseaseDetected: diseaseKey,
+  prediction: label,
+  confidence,
+  probabilities: probabilities || undefined,
+  predictionMargin: computePredictionMargin(probabilities),
+  classifier: { name: model, version: modelVersion, runtime },
+  inferenceTimeMs,
+  detectionAt: new Date(),
+  detectionSource: source
+});
+
+const toDetectionFields = (result) => buildDetectionFields({
+  ...result,
+  inferenceTimeMs: result.processingTime
+}, 'server');
+
+// Run the server-side classifier on a stored upload and record the result
+export const runServerDetection = async (uploadRecord) => {
+  const image = await getStorageForRecord(uploadRecord).read(uploadRecord.filename);
+  const result = await diseaseClassifier.classify(image);
+
+  uploadRecord.set(toDetectionFields(result));
+  await uploadRecord.save();
+
+  logger.info('Server-side detection completed', {
+    uploadId: uploadRecord._id,
+    diseaseKey: result.diseaseKey,
+    confidence: result.confidence,
+    processingTime: result.processingTime
+  });
+
+  return result;
+};
+
+// Detect on the server when a model is configured; the upload itself still succeeds if inference fails.
+// Images flagged by the quality gate are not classified, since the result would not be trustworthy.
+const detectIfEnabled = async (file) => {
+  if (!diseaseClassifier.isEnabled() || file.quality?.status === 'flagged') return {};
+
+  try {
+    const result = await diseaseClassifier.classify(file.path);
+    logger.info('Server-side detection completed', {
+      filename: file.filename,
+      diseaseKey: result.diseaseKey,
+      confidence: result.confidence,
+      processingTime: result.processingTime
+    });
+    return toDetectionFields(result);
+  } catch (error) {
+    logger.error('Server-side detection failed', {
+      filename: file.filename,
+      error: error.message
+    });
+    return {};
+  }
+};
+
+// Outbreak alerts and a re-scan task for a detection recorded on an existing upload. The detection
+// is already saved, so failures are logged and never fail the request (a retry would record it again).
+export const processDetectionSideEffects = async (uploadRecord) => {
+  try {
+    const alerts = await evaluateAlertRules(uploadRecord);
+    const followUp = await scheduleFollowUp(uploadRecord);
+    return { alerts, followUp };
+  } catch (error) {
+    logger.error('Post-detection processing failed', { uploadId: uploadRecord._id, error: error.message });
+    return { alerts: [], followUp: null };
+  }
+};
+
+// Follow-ups and outbreak alerts for newly saved uploads, including detections made during
+// upload. Like above, a failure here must not turn a saved upload into an error.
+const processUploadSideEffects = async (uploadRecords) => {
+  try {
+    await processScanFollowUps(uploadRecords);
+    for (const uploadRecord of uploadRecords) {
+      await evaluateAlertRules(uploadRecord);
+    }
+  } catch (error) {
+    logger.error('Post-upload processing failed', {
+      uploadIds: uploadRecords.map((uploadRecord) => uploadRecord._id),
+      error: error.message
+    });
+  }
+};
+
+export const formatDetection = (uploadRecord) => ({
+  diseaseDetected: uploadRecord.diseaseDetected,
+  prediction: uploadRecord.prediction,
+  confidence: uploadRecord.confidence,
+  probabilities: uploadRecord.probabilities || null,
+  predictionMargin: uploadRecord.predictionMargin,
+  classifier: uploadRecord.classifier,
+  detectionAt: uploadRecord.detectionAt,
+  detectionSource: uploadRecord.detectionSource,
+  // Recorded on an image the quality gate flagged for a retake
+  qualityFlagged: uploadRecord.quality?.status === 'flagged'
+});
+
+// UploadHistory fields for a file saved by multer. Everything that needs the image
+// (EXIF, derivatives, detection) runs here, while the file is still on local disk.
+// The quality gate has already scored the file during validation.
+const buildUploadDoc = async (file, fields) => {
+  const doc = {
+    filename: file.filename,
+    originalName: file.originalname,
+    path: file.filename,
+    storageDriver: getDefaultStorage().name,
+    size: file.size,
+    mimetype: file.mimetype,
+    uploadedAt: new Date(),
+    quality: file.quality || undefined,
+    derivatives: await generateDerivatives(file.path, file.filename),
+    ...await extractImageMetadata(file.path),
+    ...await detectIfEnabled(file),
+    ...fields
+  };
+
+  // Without an explicit field, place the upload in the field its GPS point falls in
+  if (!doc.field) {
+    Object.assign(doc, await locatePlacement(doc.location));
+  }
+
+  return doc;
+};
+
+// Hand the original and its derivatives over to the configured storage backend
+const storeUploadFiles = async (file, doc) => {
+  const storage = getDefaultStorage();
+  const directory = path.dirname(file.path);
+
+  for (const key of getUploadKeys(doc)) {
+    await storage.store(key, path.join(directory, key));
+  }
+};
+
+// Remove an upload's original and derivatives from the backend that holds them
+export const deleteStoredFiles = async (uploadRecord) => {
+  const storage = getStorageForRecord(uploadRecord);
+  for (const key of getUploadKeys(uploadRecord)) {
+    await storage.delete(key);
+  }
+};
+
+// Detach treatments, alerts and follow-ups from a deleted upload so none of them points at a missing record
+const clearUploadReferences = async (uploadId) => {
+  await Promise.all([
+    TreatmentAction.updateMany({ upload: uploadId }, { upload: null }),
+    Alert.updateMany({ uploads: uploadId }, { $pull: { uploads: uploadId } }),
+    FollowUpTask.updateMany({ upload: uploadId }, { upload: null }),
+    FollowUpTask.updateMany({ completedBy: uploadId }, { completedBy: null })
+  ]);
+};
+
+// Remove what a failed upload left behind: the local original and derivatives, and whatever
+// already reached the storage backend
+const discardFailedUpload = async (file, uploadRecord) => {
+  await discardUploadedFile(file);
+  if (!uploadRecord) return;
+
+  try {
+    await deleteStoredFiles(uploadRecord);
+  } catch (error) {
+    logger.warn('Failed to remove stored files of a failed upload', { filename: file.filename, error: error.message });
+  }
+};
+
+// Delete an upload record together with its stored files
+export const deleteUpload = async (uploadRecord) => {
+  await deleteStoredFiles(uploadRecord);
+  await uploadRecord.deleteOne();
+  await clearUploadReferences(uploadRecord._id);
+
+  logger.info('Upload deleted', { uploadId: uploadRecord._id, filename: uploadRecord.filename });
+};
+
+// SHA-256 of the file contents, used to recognise re-uploads of the same photo
+export const hashFile = (filePath) => new Promise((resolve, reject) => {
+  const hash = crypto.createHash('sha256');
+  createReadStream(filePath)
+    .on('data', (chunk) => hash.update(chunk))
+    .on('end', () => resolve(hash.digest('hex')))
+    .on('error', reject);
+});
+
+// Mission and placement a re-upload can attach to the record it duplicates
+const DUPLICATE_CONTEXT_FIELDS = ['mission', 'farm', 'field', 'tree'];
+
+export class DuplicateUploadError extends Error {
+  constructor(existing, conflicts) {
+    super(`Image was already uploaded as ${existing._id} with a different ${conflicts.join(', ')}`);
+    this.name = 'DuplicateUploadError';
+    this.code = 'DUPLICATE_UPLOAD';
+    this.statusCode = 409;
+    this.existingUploadId = existing._id;
+  }
+}
+
+// Mark an existing record as the result for a re-uploaded image. A mission or placement sent
+// with the re-upload is copied onto the record when it has none; a different one is a conflict,
+// since a single record can't belong to both.
+const markDuplicate = async (file, existing, fields = {}) => {
+  const updates = {};
+  const conflicts = [];
+  for (const key of DUPLICATE_CONTEXT_FIELDS) {
+    const value = fields[key];
+    if (value === null || value === undefined) continue;
+    if (existing[key] === null || existing[key] === undefined) {
+      updates[key] = value;
+    } else if (String(existing[key]) !== String(value)) {
+      conflicts.push(key);
+    }
+  }
+
+  if (conflicts.length > 0) {
+    logger.info('Duplicate upload conflicts with existing record', {
+      originalName: file.originalname,
+      existingUploadId: existing._id,
+      conflicts
+    });
+    throw new DuplicateUploadError(existing, conflicts);
+  }
+
+  if (Object.keys(updates).length > 0) {
+    if (updates.field && fields.placementSource) updates.placementSource = fields.placementSource;
+    existing.set(updates);
+    await existing.save();
+  }
+
+  existing.$locals.duplicate = true;
+
+  logger.info('Duplicate upload detected', {
+    originalName: file.originalname,
+    existingUploadId: existing._id,
+    attached: Object.keys(updates)
+  });
+
+  return existing;
+};
+
+const isDuplicateHashError = (error) => error.code === 11000 && !!error.keyPattern?.contentHash;
+
+// Persist a file saved by multer as an UploadHistory record
+export const recordUpload = async (file, fields = {}) => {
+  try {
+    await validateImageFile(file);
+    file.quality = await assessImageQuality(file);
+  } catch (error) {
+    await discardUploadedFile(file);
+    throw error;
+  }
+
+  const contentHash = await hashFile(file.path);
+
+  const existing = await UploadHistory.findOne({ contentHash });
+  if (existing) {
+    await discardUploadedFile(file);
+    return markDuplicate(file, existing, fields);
+  }
+
+  let uploadRecord = null;
+  try {
+    uploadRecord = new UploadHistory({ ...await buildUploadDoc(file, fields), contentHash });
+    await storeUploadFiles(file, uploadRecord);
+    await uploadRecord.save();
+  } catch (error) {
+    await discardFailedUpload(file, uploadRecord);
+    // Another request stored the same image between the lookup and the insert
+    if (isDuplicateHashError(error)) {
+      return markDuplicate(file, await UploadHistory.findOne({ contentHash }), fields);
+    }
+    throw error;
+  }
+
+  await processUploadSideEffects([uploadRecord]);
+
+  return uploadRecord;
+};
+
+// Persist many saved files at once and report the outcome per file
+export const recordUploads = async (candidates, fields = {}) => {
+  const files = [];
+  const rejected = [];
+  for (const file of candidates) {
+    try {
+      await validateImageFile(file);
+      file.quality = await assessImageQuality(file);
+      files.push(file);
+    } catch (error) {
+      await discardUploadedFile(file);
+      rejected.push({ originalName: file.originalname, success: false, error: error.message, code: error.code });
+    }
+  }
+
+  const hashes = [];
+  for (const file of files) {
+    hashes.push(await hashFile(file.path));
+  }
+
+  const existing = await UploadHistory.find({ contentHash: { $in: hashes } });
+  const recordsByHash = new Map(existing.map((doc) => [doc.contentHash, doc]));
+
+  // Only the first copy of each new image is inserted; repeats within the batch resolve to it
+  const docs = [];
+  const queued = new Set();
+  const storedFilenames = new Set();
+  const failedFiles = new Map();
+  for (let i = 0; i < files.length; i++) {
+    if (recordsByHash.has(hashes[i]) || queued.has(hashes[i])) continue;
+    queued.add(hashes[i]);
+
+    let doc = null;
+    try {
+      doc = { ...await buildUploadDoc(files[i], fields), contentHash: hashes[i] };
+      await storeUploadFiles(files[i], doc);
+    } catch (error) {
+      await discardFailedUpload(files[i], doc);
+      failedFiles.set(files[i].filename, error.message);
+      continue;
+    }
+    storedFilenames.add(files[i].filename);
+    docs.push(doc);
+  }
+
+  let inserted = [];
+  if (docs.length > 0) {
+    try {
+      inserted = await UploadHistory.insertMany(docs, { ordered: false });
+    } catch (error) {
+      // Unordered inserts keep going past write errors; anything missing from insertedDocs failed
+      if (!error.insertedDocs) throw error;
+      inserted = error.insertedDocs;
+    }
+  }
+
+  const newRecords = new Map(inserted.map((doc) => [doc.contentHash, doc]));
+
+  await processUploadSideEffects(inserted);
+
+  // A failed insert may just mean another request stored the same image in the meantime
+  const failedDocs = docs.filter((doc) => !newRecords.has(doc.contentHash));
+  for (const doc of failedDocs) {
+    await deleteStoredFiles(doc);
+  }
+  if (failedDocs.length > 0) {
+    const raced = await UploadHistory.find({ contentHash: { $in: failedDocs.map((doc) => doc.contentHash) } });
+    for (const doc of raced) {
+      recordsByHash.set(doc.contentHash, doc);
+    }
+  }
+
+  const results = [];
+
+  for (let i = 0; i < files.length; i++) {
+    const file = files[i];
+    const newRecord = newRecords.get(hashes[i]);
+
+    if (newRecord && newRecord.filename === file.filename) {
+      results.push({ originalName: file.originalname, success: true, data: formatUploadResponse(newRecord) });
+      continue;
+    }
+
+    // Files that were never handed to storage are still only on local disk
+    if (!storedFilenames.has(file.filename)) {
+      await discardUploadedFile(file);
+    }
+
+    const duplicateOf = newRecord || recordsByHash.get(hashes[i]);
+    if (duplicateOf) {
+      try {
+        await markDuplicate(file, duplicateOf, fields);
+        results.push({ originalName: file.originalname, success: true, data: formatUploadResponse(duplicateOf) });
+      } catch (error) {
+        results.push({
+          originalName: file.originalname,
+          success: false,
+          error: error.message,
+          code: error.code,
+          existingUploadId: error.existingUploadId
+        });
+      }
+      continue;
+    }
+
+    results.push({
+      originalName: file.originalname,
+      success: false,
+      error: failedFiles.get(file.filename) || 'Failed to save upload record'
+    });
+  }
+
+  return [...results, ...rejected];
+};
+
+// Remove a file multer already wrote when the request is rejected afterwards
+export const discardUploadedFile = async (file) => {
+  try {
+    await fs.rm(file.path, { force: true });
+    await removeDerivatives(file.path, file.filename);
+  } catch (error) {
+    logger.warn('Failed to remove rejected upload', { path: file.path, error: error.message });
+  }
+};
+
+// Shape of an upload in upload endpoint responses
+export const formatUploadResponse = (uploadRecord) => ({
+  id: uploadRecord._id,
+  filename: uploadRecord.filename,
+  originalName: uploadRecord.originalName,
+  url: uploadRecord.url,
+  thumbnailUrl: uploadRecord.thumbnailUrl,
+  previewUrl: uploadRecord.previewUrl,
+  uploadedAt: uploadRecord.uploadedAt,
+  mission: uploadRecord.mission,
+  farm: uploadRecord.farm || null,
+  field: uploadRecord.field || null,
+  tree: uploadRecord.tree || null,
+  location: uploadRecord.location || null,
+  capturedAt: uploadRecord.capture?.capturedAt || null,
+  quality: formatQuality(uploadRecord.quality),
+  detection: uploadRecord.detectionAt ? formatDetection(uploadRecord) : null,
+  review: {
+    status: uploadRecord.review?.status || 'pending',
+    verifiedLabel: uploadRecord.review?.verifiedLabel || null
+  },
+  duplicate: !!uploadRecord.$locals?.duplicate
+});
+
+// Summarise a per-file ingest report
+export const summarizeResults = (results) => ({
+  total: results.length,
+  succeeded: results.filter((result) => result.success).length,
+  failed: results.filter((result) => !result.success).length
+});
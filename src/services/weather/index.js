@@ -0,0 +1,30 @@
+// FILE: server/src/services/weather/index.js
+import { MockWeatherProvider } from './mockWeatherProvider.js';
+import { OpenMeteoProvider } from './openMeteoProvider.js';
+
+const providerFactories = {
+  mock: () => new MockWeatherProvider(),
+  'open-meteo': () => new OpenMeteoProvider({
+    forecastUrl: process.env.OPEN_METEO_FORECAST_URL || 'https://api.open-meteo.com/v1/forecast',
+    archiveUrl: process.env.OPEN_METEO_ARCHIVE_URL || 'https://archive-api.open-meteo.com/v1/archive',
+    timeoutMs: parseInt(process.env.WEATHER_TIMEOUT_MS) || 15000
+  })
+};
+
+const providers = new Map();
+
+// Swap in a different weather source, e.g. a PAGASA station feed
+export const registerWeatherProvider = (name, provider) => {
+  providers.set(name, provider);
+};
+
+// Providers are created on first use, like storage drivers and notifiers
+export const getWeatherProvider = (name = process.env.WEATHER_PROVIDER || 'mock') => {
+  if (!providers.has(name)) {
+    if (!providerFactories[name]) {
+      throw new Error(`Unknown weather provider: ${name}`);
+    }
+    providers.set(name, providerFactories[name]());
+  }
+  return providers.get(name);
+};
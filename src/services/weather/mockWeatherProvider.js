@@ -0,0 +1,43 @@
+// FILE: server/src/services/weather/mockWeatherProvider.js
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Deterministic value in [0, 1) for a seed, so the same farm and day always get the same weather
+const noise = (seed) => {
+  const x = Math.sin(seed) * 10000;
+  return x - Math.floor(x);
+};
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Offline stand-in for a weather API: plausible lowland Philippine weather with a
+// June-November wet season, for development and demos without network access
+export class MockWeatherProvider {
+  constructor() {
+    this.name = 'mock';
+  }
+
+  async fetchDaily({ latitude, longitude, from, to }) {
+    const days = [];
+
+    for (let time = from.getTime(); time <= to.getTime(); time += DAY_MS) {
+      const date = new Date(time);
+      const seed = Math.floor(time / DAY_MS) + latitude * 1000 + longitude * 100;
+      const wetSeason = date.getUTCMonth() >= 5 && date.getUTCMonth() <= 10;
+
+      const rainy = noise(seed) < (wetSeason ? 0.6 : 0.2);
+      const temperatureC = 27 + (wetSeason ? -1 : 1) + (noise(seed + 1) - 0.5) * 4;
+
+      days.push({
+        date,
+        rainfallMm: rainy ? round(noise(seed + 2) * (wetSeason ? 40 : 10)) : 0,
+        humidityPct: round(Math.min(100, (rainy ? 82 : 68) + noise(seed + 3) * 15)),
+        temperatureC: round(temperatureC),
+        minTemperatureC: round(temperatureC - 4 - noise(seed + 4) * 2),
+        maxTemperatureC: round(temperatureC + 4 + noise(seed + 5) * 2)
+      });
+    }
+
+    return days;
+  }
+}
@@ -0,0 +1,56 @@
+// FILE: server/src/services/weather/openMeteoProvider.js
+
+const DAILY_VARIABLES = [
+  'precipitation_sum',
+  'relative_humidity_2m_mean',
+  'temperature_2m_mean',
+  'temperature_2m_min',
+  'temperature_2m_max'
+];
+
+const toDay = (date) => date.toISOString().slice(0, 10);
+
+// Daily weather from Open-Meteo (no API key required). Past days come from the
+// archive API, since the forecast API only keeps a few months of history.
+export class OpenMeteoProvider {
+  constructor({ forecastUrl, archiveUrl, timeoutMs = 15000 }) {
+    this.name = 'open-meteo';
+    this.forecastUrl = forecastUrl;
+    this.archiveUrl = archiveUrl;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async fetchDaily({ latitude, longitude, from, to }) {
+    const recentCutoff = Date.now() - 60 * 24 * 60 * 60 * 1000;
+    const baseUrl = from.getTime() < recentCutoff ? this.archiveUrl : this.forecastUrl;
+
+    const params = new URLSearchParams({
+      latitude: String(latitude),
+      longitude: String(longitude),
+      start_date: toDay(from),
+      end_date: toDay(to),
+      daily: DAILY_VARIABLES.join(','),
+      timezone: 'UTC'
+    });
+
+    const response = await fetch(`${baseUrl}?${params}`, {
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Open-Meteo responded with ${response.status}`);
+    }
+
+    const { daily } = await response.json();
+    if (!daily?.time) return [];
+
+    return daily.time.map((day, i) => ({
+      date: new Date(`${day}T00:00:00Z`),
+      rainfallMm: daily.precipitation_sum?.[i] ?? null,
+      humidityPct: daily.relative_humidity_2m_mean?.[i] ?? null,
+      temperatureC: daily.temperature_2m_mean?.[i] ?? null,
+      minTemperatureC: daily.temperature_2m_min?.[i] ?? null,
+      maxTemperatureC: daily.temperature_2m_max?.[i] ?? null
+    }));
+  }
+}
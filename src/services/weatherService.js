@@ -0,0 +1,258 @@
+// FILE: server/src/services/weatherService.js
+import path from 'path';
+import { WeatherObservation, WEATHER_VARIABLES } from '../models/WeatherObservation.js';
+import { Field } from '../models/Field.js';
+import { getWeatherProvider } from './weather/index.js';
+import { logger } from '../utils/logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const MAX_WEATHER_ROWS = 50000;
+
+// Longest range fetched from a weather provider in one request
+export const MAX_FETCH_DAYS = 366;
+
+export class WeatherError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.name = 'WeatherError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Column names accepted in imports, compared lowercased without punctuation
+const COLUMN_ALIASES = {
+  date: 'date',
+  time: 'date',
+  timestamp: 'date',
+  rainfallmm: 'rainfallMm',
+  rainfall: 'rainfallMm',
+  rain: 'rainfallMm',
+  precipitation: 'rainfallMm',
+  humiditypct: 'humidityPct',
+  humidity: 'humidityPct',
+  relativehumidity: 'humidityPct',
+  temperaturec: 'temperatureC',
+  temperature: 'temperatureC',
+  temp: 'temperatureC',
+  mintemperaturec: 'minTemperatureC',
+  mintemperature: 'minTemperatureC',
+  tempmin: 'minTemperatureC',
+  maxtemperaturec: 'maxTemperatureC',
+  maxtemperature: 'maxTemperatureC',
+  tempmax: 'maxTemperatureC'
+};
+
+const normalizeColumn = (name) => COLUMN_ALIASES[String(name).toLowerCase().replace(/[^a-z]/g, '')] || null;
+
+export const startOfUtcDay = (date) => new Date(Math.floor(new Date(date).getTime() / DAY_MS) * DAY_MS);
+
+// Split CSV text into rows of fields; handles quoted fields with commas, quotes and newlines
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((values) => values.some((value) => value.trim() !== ''));
+};
+
+// Weather rows from an uploaded CSV (header row required) or JSON file (array of objects,
+// or { observations: [...] })
+export const parseWeatherFile = (file) => {
+  const extension = path.extname(file.originalname).toLowerCase();
+  const text = file.buffer.toString('utf8').replace(/^\uFEFF/, '');
+
+  if (extension === '.json') {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      throw new WeatherError(`Invalid JSON file: ${error.message}`, 400);
+    }
+    const rows = Array.isArray(parsed) ? parsed : parsed?.observations;
+    if (!Array.isArray(rows)) {
+      throw new WeatherError('JSON file must contain an array of observations', 400);
+    }
+    return rows;
+  }
+
+  const [header, ...lines] = parseCsv(text);
+  if (!header) {
+    throw new WeatherError('CSV file is empty', 400);
+  }
+
+  return lines.map((values) => Object.fromEntries(header.map((name, i) => [name.trim(), values[i]?.trim()])));
+};
+
+const toNumber = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : NaN;
+};
+
+// Map a row's columns onto the weather variables; returns null for rows without a usable date
+const readRow = (row) => {
+  const reading = {};
+  for (const [name, value] of Object.entries(row || {})) {
+    const column = normalizeColumn(name);
+    if (column) reading[column] = column === 'date' ? value : toNumber(value);
+  }
+
+  const date = reading.date ? new Date(reading.date) : null;
+  if (!date || Number.isNaN(date.getTime())) return null;
+  if (WEATHER_VARIABLES.some((variable) => Number.isNaN(reading[variable]))) return null;
+
+  return { ...reading, date };
+};
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+const present = (readings, variable) => readings
+  .map((reading) => reading[variable])
+  .filter((value) => value !== null && value !== undefined);
+
+const extreme = (pick, explicit, readings) => {
+  if (explicit.length > 0) return pick(...explicit);
+  return readings.length > 1 ? pick(...readings) : null;
+};
+
+// Roll readings up into one observation per UTC day: total rain, mean humidity and
+// temperature, and the day's extremes
+const rollUpDay = (readings) => {
+  const rain = present(readings, 'rainfallMm');
+  const humidity = present(readings, 'humidityPct');
+  const temperature = present(readings, 'temperatureC');
+  const minimum = present(readings, 'minTemperatureC');
+  const maximum = present(readings, 'maxTemperatureC');
+
+  return {
+    rainfallMm: rain.length > 0 ? sum(rain) : null,
+    humidityPct: humidity.length > 0 ? sum(humidity) / humidity.length : null,
+    temperatureC: temperature.length > 0 ? sum(temperature) / temperature.length : null,
+    // Without explicit extremes, several readings in a day still give a range
+    minTemperatureC: extreme(Math.min, minimum, temperature),
+    maxTemperatureC: extreme(Math.max, maximum, temperature)
+  };
+};
+
+// Store weather rows for a farm, replacing any days already on record
+export const importWeatherObservations = async (farm, rows, source = 'upload') => {
+  if (rows.length > MAX_WEATHER_ROWS) {
+    throw new WeatherError(`At most ${MAX_WEATHER_ROWS} weather rows can be imported at once`, 413);
+  }
+
+  const byDay = new Map();
+  const rejected = [];
+
+  rows.forEach((row, i) => {
+    const reading = readRow(row);
+    if (!reading) {
+      rejected.push({ row: i + 1, error: 'Missing or invalid date or number' });
+      return;
+    }
+    const key = startOfUtcDay(reading.date).getTime();
+    if (!byDay.has(key)) byDay.set(key, []);
+    byDay.get(key).push(reading);
+  });
+
+  const operations = [...byDay.entries()].map(([time, readings]) => ({
+    updateOne: {
+      filter: { farm: farm._id, date: new Date(time) },
+      update: { $set: { ...rollUpDay(readings), source } },
+      upsert: true
+    }
+  }));
+
+  if (operations.length > 0) {
+    await WeatherObservation.bulkWrite(operations, { ordered: false });
+  }
+
+  logger.info('Weather observations imported', {
+    farmId: farm._id,
+    source,
+    rows: rows.length,
+    days: operations.length,
+    rejected: rejected.length
+  });
+
+  return { rows: rows.length, days: operations.length, rejected };
+};
+
+// Mean of a GeoJSON polygon's outer ring (or the first polygon of a MultiPolygon)
+const boundaryCenter = (boundary) => {
+  const ring = boundary.type === 'MultiPolygon' ? boundary.coordinates[0][0] : boundary.coordinates[0];
+  const points = ring.slice(0, -1);
+  return {
+    longitude: sum(points.map(([lon]) => lon)) / points.length,
+    latitude: sum(points.map(([, lat]) => lat)) / points.length
+  };
+};
+
+// Where to ask a weather API about: the farm boundary, or failing that one of its fields
+const locateFarm = async (farm) => {
+  if (farm.boundary?.coordinates) return boundaryCenter(farm.boundary);
+
+  const field = await Field.findOne({ farm: farm._id, boundary: { $ne: null } });
+  if (field?.boundary?.coordinates) return boundaryCenter(field.boundary);
+
+  throw new WeatherError('Farm has no boundary to look up weather for', 400);
+};
+
+// Pull daily weather for a farm from the configured provider and store it
+export const fetchFarmWeather = async (farm, { from, to } = {}) => {
+  const end = startOfUtcDay(to || new Date());
+  const start = startOfUtcDay(from || end.getTime() - 13 * DAY_MS);
+
+  if (start > end) {
+    throw new WeatherError('From must be before to', 400);
+  }
+  if ((end - start) / DAY_MS + 1 > MAX_FETCH_DAYS) {
+    throw new WeatherError(`At most ${MAX_FETCH_DAYS} days can be fetched at once`, 400);
+  }
+
+  const provider = getWeatherProvider();
+  const { latitude, longitude } = await locateFarm(farm);
+
+  let days;
+  try {
+    days = await provider.fetchDaily({ latitude, longitude, from: start, to: end });
+  } catch (error) {
+    logger.error('Weather provider request failed', { provider: provider.name, farmId: farm._id, error: error.message });
+    throw new WeatherError(`Weather provider request failed: ${error.message}`, 502);
+  }
+
+  return importWeatherObservations(farm, days, provider.name);
+};